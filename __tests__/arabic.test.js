@@ -0,0 +1,78 @@
+const { HTUAssistant } = require('../utils');
+const { hasArabic, normalizeArabic, transliterationKey, vowelledKey } = require('../arabicText');
+
+describe('Arabic normalization', () => {
+  let a;
+  beforeAll(() => {
+    a = new HTUAssistant();
+  });
+
+  test('folds alef and hamza variants, taa marbuta and alef maqsura', () => {
+    expect(a.normalize('أحمد')).toBe(a.normalize('احمد'));
+    expect(a.normalize('إسراء')).toBe('اسراء');
+    expect(a.normalize('آمنة')).toBe('امنه');
+    expect(a.normalize('مصطفى')).toBe('مصطفي');
+    expect(a.normalize('مؤمن')).toBe('مومن');
+    expect(a.normalize('سائد')).toBe('سايد');
+  });
+
+  test('strips tatweel, harakat and punctuation', () => {
+    expect(a.normalize('مُحَمَّد')).toBe('محمد');
+    expect(a.normalize('محـــمد')).toBe('محمد');
+    expect(a.normalize('د. محمد، الخطيب؟')).toBe('د محمد الخطيب');
+    expect(normalizeArabic('س-٣١٥')).toBe('س-315');
+  });
+
+  test('leaves Latin text alone', () => {
+    expect(a.normalize('Dr. José Al-Khateeb')).toBe('dr jose al khateeb');
+    expect(hasArabic('Malek')).toBe(false);
+    expect(hasArabic('مالك')).toBe(true);
+  });
+});
+
+describe('Arabic and Latin transliteration', () => {
+  test('gives the same key to both spellings of a name', () => {
+    expect(transliterationKey('محمد الخطيب')).toBe(transliterationKey('Mohammad Al-Khateeb'));
+    expect(transliterationKey('مُحَمَّد')).toBe(transliterationKey('Muhammed'));
+    expect(transliterationKey('فاطمة')).toBe(transliterationKey('Fatima'));
+    expect(transliterationKey('عبد الله')).toBe(transliterationKey('Abdullah'));
+    expect(transliterationKey('يحيى')).toBe(transliterationKey('Yahia'));
+  });
+
+  test('finds doctors stored in English from an Arabic query', () => {
+    const a = new HTUAssistant();
+    expect(a.search('مالك اللوزي')[0].name).toBe('Malek Allouzi');
+    expect(a.search('إسراء سعادة')[0].name).toBe('Israa Ibrahim Saadeh');
+    const [top] = a.searchScored('محمد الجراح');
+    expect(top.doctor.name).toBe('Mohammed Nabeel Al Jarrah');
+    expect(top.matchedFields).toContain('translit_tokens');
+    expect(a.searchClubs('تكافل')[0]['Name of it ']).toBe('Takaful team');
+  });
+
+  test('tells names with the same skeleton apart by their long vowels', () => {
+    const a = new HTUAssistant();
+    const asma = a.search('اسماء');
+    expect(asma.slice(0, 3).map(d => d.name).sort()).toEqual(['Asma Al-Fakhore', 'Asma Lafi', 'Asma Mohammad Sabbah']);
+    expect(asma.map(d => d.name)).toContain('Fadia Sami Ala\'edddin');
+    expect(a.search('سامي')[0].name).toMatch(/Sami/);
+    expect(vowelledKey('علي')).toBe(vowelledKey('Ali'));
+  });
+
+  test('finds one-consonant names only on a whole word with the same vowels', () => {
+    const a = new HTUAssistant();
+    expect(a.search('علي').map(d => d.name).sort()).toEqual(['Ayah Fareed Ali Alomar', 'Shatha Ali Al Hawawsheh']);
+    expect(a.search('علا').map(d => d.name)).toEqual(['Fadia Sami Ala\'edddin']);
+  });
+
+  test('finds names stored in Arabic from a Latin query', () => {
+    const a = new HTUAssistant();
+    a.doctors = [
+      { name: 'د. فاطمة الزهراء', department: 'Data Science' },
+      { name: 'سامر حداد', department: 'Cyber Security' }
+    ];
+    a.searchIndex = a.buildSearchIndex();
+    expect(a.search('Fatima Al-Zahraa').map(d => d.name)).toEqual(['د. فاطمة الزهراء']);
+    expect(a.search('samer')[0].name).toBe('سامر حداد');
+    expect(a.search('Malek')).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+const campus = require('../campusGraph.json');
+const { findRoute } = require('../campusRoutes');
+
+describe('campus walking routes', () => {
+  const at = (building, floor, label) => ({ building, floor, label });
+
+  test('goes down the stairs, across campus and into the target building', () => {
+    const route = findRoute(campus, at('S', 3, 'S-321'), at('IJC', 0, 'IJC-04'));
+    expect(route.steps[0]).toBe('Start at S-321.');
+    expect(route.steps[1]).toMatch(/down to Floor 1/);
+    expect(route.steps.some(step => step.startsWith('Enter building IJC'))).toBe(true);
+    expect(route.steps[route.steps.length - 1]).toBe('Follow the corridor to IJC-04.');
+    expect(route.minutes).toBeGreaterThan(0);
+  });
+
+  test('uses the reverse directions when walking a connection backwards', () => {
+    const route = findRoute(campus, at('W', -1, 'W-B05'), at('S', 1, 'S-103'));
+    expect(route.steps).toContain('Take the covered walkway east to the Red (South) building (about 3 min).');
+  });
+
+  test('reports unknown buildings and floors', () => {
+    expect(findRoute(campus, at('X', 1, 'X-101'), at('S', 1, 'S-101')).error).toMatch(/building X/);
+    expect(findRoute(campus, at('S', 9, 'S-901'), at('S', 1, 'S-101')).error).toMatch(/Floor 9/);
+  });
+});
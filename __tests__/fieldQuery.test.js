@@ -0,0 +1,52 @@
+const { parseFieldQuery, formatFieldQuery, withoutFilter, wildcardPattern } = require('../fieldQuery');
+const { HTUAssistant } = require('../utils');
+
+describe('field query syntax', () => {
+  test('takes filters out of the query and leaves the free text', () => {
+    expect(parseFieldQuery('dept:cyber day:monday building:S malek')).toEqual({
+      filters: [{ field: 'dept', value: 'cyber' }, { field: 'day', value: 'monday' }, { field: 'building', value: 'S' }],
+      text: 'malek'
+    });
+    expect(parseFieldQuery('type:“Volunteer team”').filters).toEqual([{ field: 'type', value: 'Volunteer team' }]);
+    expect(parseFieldQuery('Room: S-321').filters).toEqual([{ field: 'office', value: 'S-321' }]);
+    expect(parseFieldQuery('note: see https://htu.edu.jo at 11:30')).toEqual({ filters: [], text: 'note: see https://htu.edu.jo at 11:30' });
+  });
+
+  test('formats queries back and drops single filters', () => {
+    const parsed = parseFieldQuery('type:"Volunteer team" department:cs athar');
+    expect(formatFieldQuery(parsed)).toBe('type:"Volunteer team" dept:cs athar');
+    expect(withoutFilter(parsed, 0)).toBe('dept:cs athar');
+    expect(wildcardPattern('s3*').test('s315')).toBe(true);
+    expect(wildcardPattern('s3')).toBeNull();
+  });
+});
+
+describe('HTUAssistant filtered search', () => {
+  const a = new HTUAssistant();
+  const monday = new Date('2026-10-19T09:00:00Z');
+
+  test('doctors pass every filter and free text is scored within them', () => {
+    const result = a.searchFiltered('dept:cyber day:monday building:S', monday);
+    expect(result.errors).toEqual([]);
+    expect(result.totalDoctors).toBeGreaterThan(0);
+    expect(result.clubs).toEqual([]);
+    result.doctors.forEach(doctor => {
+      expect(doctor.department).toBe('Cyber Security');
+      expect(a.parseOffice(doctor.office).building).toBe('S');
+      expect(a.getUsableSlots(doctor).some(slot => slot.day === 'Monday')).toBe(true);
+    });
+
+    const office = a.searchFiltered('office:S-3* malek', monday);
+    expect(office.doctors.map(d => d.name)).toEqual(['Malek Allouzi']);
+    expect(a.searchFiltered('malek', monday)).toBeNull();
+  });
+
+  test('clubs filter on type and bad values are reported', () => {
+    const clubs = a.searchFiltered('type:"Volunteer team"', monday);
+    expect(clubs.totalClubs).toBeGreaterThan(0);
+    expect(clubs.clubs.every(club => club['Club/ Volunteer team'] === 'Volunteer team')).toBe(true);
+    expect(a.searchFiltered('day:funday', monday).errors).toHaveLength(1);
+    expect(a.searchFiltered('building:red', monday).filters[0].code).toBe('S');
+    expect(a.searchFiltered('dept:cyber type:club', monday).errors).toHaveLength(1);
+  });
+});
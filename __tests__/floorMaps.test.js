@@ -0,0 +1,17 @@
+const layouts = require('../floorLayouts.json');
+const { getFloorLayout, layoutHasRoom, renderFloorSvg } = require('../floorMaps');
+
+describe('floor maps', () => {
+  test('finds layouts by legend code and floor', () => {
+    expect(layoutHasRoom(getFloorLayout(layouts, 'S', 3), 'S-321')).toBe(true);
+    expect(layoutHasRoom(getFloorLayout(layouts, 'W', -1), 'W-B05')).toBe(true);
+    expect(getFloorLayout(layouts, 'S', 9)).toBeNull();
+  });
+
+  test('highlights the requested room and escapes text', () => {
+    const svg = renderFloorSvg(getFloorLayout(layouts, 'S', 3), { title: 'South <S>', color: 'Red', highlight: 'S-321' });
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect(svg).toContain('South &lt;S&gt;');
+    expect(svg).toMatch(/fill="#e53935" stroke="#333333" stroke-width="3"\/>\n<text[^>]*>S-321<\/text>/);
+  });
+});
@@ -0,0 +1,33 @@
+const { isGroupChat, normalizeGroupSettings, commandTarget, stripCommandTarget, repliesToBot, addressedQuery } = require('../groupChat');
+
+describe('group chat addressing', () => {
+  const me = { id: 1, username: 'athar_bot' };
+  const groupMsg = (text, extra = {}) => Object.assign({ chat: { id: -5, type: 'supergroup' }, text }, extra);
+
+  test('reads and strips the target bot of a command', () => {
+    expect(commandTarget('/start@OtherBot')).toBe('OtherBot');
+    expect(commandTarget('/route@athar_bot S-321 to N-402')).toBe('athar_bot');
+    expect(commandTarget('/start')).toBeNull();
+    expect(commandTarget('email me@athar_bot')).toBeNull();
+    expect(stripCommandTarget('/route@athar_bot S-321 to N-402')).toBe('/route S-321 to N-402');
+  });
+
+  test('only answers mentions and replies to the bot', () => {
+    expect(isGroupChat({ type: 'group' })).toBe(true);
+    expect(isGroupChat({ type: 'private' })).toBe(false);
+    expect(addressedQuery(groupMsg('hello everyone'), me)).toBeNull();
+    expect(addressedQuery(groupMsg('@Athar_Bot S-321'), me)).toBe('S-321');
+    expect(addressedQuery(groupMsg('where is malek @athar_bot'), me)).toBe('where is malek');
+    expect(addressedQuery(groupMsg('@athar_bot_fan hi'), me)).toBeNull();
+    expect(addressedQuery(groupMsg('malek', { reply_to_message: { from: { id: 1 } } }), me)).toBe('malek');
+    expect(addressedQuery(groupMsg('malek', { reply_to_message: { from: { id: 7 } } }), me)).toBeNull();
+    expect(repliesToBot(groupMsg(undefined, { location: {}, reply_to_message: { from: { id: 1 } } }), me)).toBe(true);
+    expect(repliesToBot(groupMsg(undefined, { location: {} }), me)).toBe(false);
+  });
+
+  test('respects per-group settings', () => {
+    const settings = normalizeGroupSettings({ mentions: false, thread: 'yes', extra: true });
+    expect(settings).toEqual({ mentions: false, replies: true, find: true, thread: true });
+    expect(addressedQuery(groupMsg('@athar_bot S-321'), me, settings)).toBeNull();
+  });
+});
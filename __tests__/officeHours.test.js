@@ -0,0 +1,124 @@
+const {
+  parseDayHours,
+  parseOfficeHours,
+  formatMinutes,
+  auditDayHours,
+  findNextSlot,
+  describeDelay,
+  parseTimeExpression,
+  intersectSlots,
+  subtractSlots,
+  reminderTime,
+  minutesUntilWeekly
+} = require('../officeHours');
+
+describe('office hours parsing', () => {
+  test('splits multiple slots and keeps the location note', () => {
+    const day = parseDayHours('Sunday', '10:00 AM – 1:00 PM, 2:30 PM – 3:00 PM Iman office');
+    expect(day.day).toBe('Sunday');
+    expect(day.slots).toHaveLength(2);
+    expect(day.slots[0]).toMatchObject({ start: 600, end: 780, location: '' });
+    expect(day.slots[1]).toMatchObject({ start: 870, end: 900, location: 'Iman office' });
+  });
+
+  test('infers missing AM/PM from the other side or campus hours', () => {
+    expect(parseDayHours('Monday', '11:30 – 12:00 PM').slots[0]).toMatchObject({ start: 690, end: 720, inferred: true });
+    expect(parseDayHours('Tuesday', '11:00–1:00').slots[0]).toMatchObject({ start: 660, end: 780 });
+  });
+
+  test('detects online modality and keeps time-less notes', () => {
+    const day = parseDayHours('Saturday', '11:30 AM – 2:00 PM,2:00 AM – 5:59 PM on teams');
+    expect(day.slots.map(s => s.modality)).toEqual(['in_person', 'online']);
+    expect(parseDayHours('Thursday', 'On Teams').notes).toEqual([{ text: 'On Teams', modality: 'online' }]);
+  });
+
+  test('marks reversed ranges as invalid and sorts days by HTU week', () => {
+    const schedule = parseOfficeHours({ Thursday: '9:00 AM – 10:00 AM', Monday: '11:30 PM – 12:30 PM' });
+    expect(schedule.map(d => d.day)).toEqual(['Monday', 'Thursday']);
+    expect(schedule[0].slots[0].valid).toBe(false);
+    expect(formatMinutes(870)).toBe('2:30 PM');
+  });
+});
+
+describe('office hours audit', () => {
+  test('suggests AM/PM fixes and flags stray commas and weekend days', () => {
+    const typo = auditDayHours(parseDayHours('Monday', '11:30 PM – 12:30 PM'));
+    expect(typo).toEqual([expect.objectContaining({ type: 'ampm_typo', suggestion: '11:30 AM – 12:30 PM' })]);
+
+    const trailing = auditDayHours(parseDayHours('Monday', '11:30 AM – 12:30 PM, '));
+    expect(trailing[0]).toMatchObject({ type: 'empty_segment', suggestion: '11:30 AM – 12:30 PM' });
+
+    const saturday = auditDayHours(parseDayHours('Saturday', '1:00 PM – 2:30 PM'));
+    expect(saturday.map(i => i.type)).toEqual(['weekend_day']);
+  });
+
+  test('flags overlapping slots on the same day', () => {
+    const issues = auditDayHours(parseDayHours('Sunday', '10:00 AM – 12:00 PM, 11:30 AM – 1:00 PM'));
+    expect(issues.map(i => i.type)).toEqual(['overlap']);
+  });
+});
+
+describe('next available slot', () => {
+  const slots = parseOfficeHours({
+    Sunday: '10:00 AM – 11:00 AM',
+    Tuesday: '2:30 PM – 3:30 PM',
+    Saturday: '9:00 AM – 10:00 AM'
+  }).reduce((all, d) => all.concat(d.slots), []);
+
+  test('reports the slot in progress and the following one', () => {
+    const { current, next } = findNextSlot(slots, { dayIndex: 0, minutes: 630 });
+    expect(current).toMatchObject({ minutesLeft: 30 });
+    expect(next).toMatchObject({ daysAhead: 2, slot: { day: 'Tuesday', start: 870 } });
+  });
+
+  test('skips Saturday and wraps to next week', () => {
+    const { current, next } = findNextSlot(slots, { dayIndex: 3, minutes: 600 });
+    expect(current).toBeNull();
+    expect(next).toMatchObject({ daysAhead: 4, slot: { day: 'Sunday' } });
+    expect(describeDelay(next.daysAhead, next.minutesUntil)).toBe('in 4 days');
+  });
+});
+
+describe('time expressions in questions', () => {
+  const monday10am = { dayIndex: 1, minutes: 600 };
+
+  test('reads day names with a point in time', () => {
+    expect(parseTimeExpression('who is free Tuesday at 11?', monday10am))
+      .toMatchObject({ day: 'Tuesday', from: 660, to: 661, rest: 'who is free ?' });
+  });
+
+  test('reads relative days and open-ended windows', () => {
+    expect(parseTimeExpression('available tomorrow after 2pm', monday10am))
+      .toMatchObject({ day: 'Tuesday', from: 840, to: 1440, label: 'tomorrow after 2:00 PM' });
+    expect(parseTimeExpression('who is in office this afternoon', monday10am))
+      .toMatchObject({ day: 'Monday', from: 720, to: 1020 });
+    expect(parseTimeExpression('malek office hours', monday10am)).toBeNull();
+  });
+});
+
+describe('common free time', () => {
+  const slotsOf = hours => parseOfficeHours(hours).reduce((all, d) => all.concat(d.slots), []);
+
+  test('intersects weekly slots and keeps the leftovers', () => {
+    const a = slotsOf({ Sunday: '10:00 AM – 1:00 PM', Monday: '11:30 AM – 1:00 PM' });
+    const b = slotsOf({ Sunday: '12:00 PM – 2:00 PM', Tuesday: '10:00 AM – 11:00 AM' });
+    const windows = intersectSlots([a, b]);
+    expect(windows).toEqual([{ day: 'Sunday', dayIndex: 0, start: 720, end: 780 }]);
+    expect(subtractSlots(a, windows).map(s => [s.day, s.start, s.end])).toEqual([
+      ['Sunday', 600, 720],
+      ['Monday', 690, 780]
+    ]);
+  });
+});
+
+describe('reminder timing', () => {
+  test('builds a weekly cron time before the slot, wrapping across days', () => {
+    expect(reminderTime({ dayIndex: 3, start: 600 }, 30)).toEqual({ dayIndex: 3, minutes: 570, cron: '30 9 * * 3' });
+    expect(reminderTime({ dayIndex: 0, start: 20 }, 30)).toMatchObject({ dayIndex: 6, minutes: 1430 });
+  });
+
+  test('counts minutes until the next weekly occurrence', () => {
+    expect(minutesUntilWeekly({ dayIndex: 3, minutes: 570 }, { dayIndex: 1, minutes: 600 })).toBe(2 * 1440 - 30);
+    expect(minutesUntilWeekly({ dayIndex: 1, minutes: 600 }, { dayIndex: 1, minutes: 600 })).toBe(7 * 1440);
+  });
+});
@@ -0,0 +1,42 @@
+const { HTUAssistant } = require('../utils');
+const { nameWords, phoneticKey } = require('../phoneticNames');
+
+describe('phonetic name keys', () => {
+  test('joins common spellings of the same name', () => {
+    const same = (...names) => names.forEach(n => expect(phoneticKey(n)).toBe(phoneticKey(names[0])));
+    same('Mohammad', 'Muhammad', 'Mohammed', 'Mhmd', "Moh'd");
+    same('Alkhateeb', 'Al-Khatib', 'Khateeb', 'El Khatib');
+    same('Abdel-Rahman', 'Abdul Rahman', 'Abdelrahman', 'Abd Al-Rahman');
+    same('Nour El-Din', 'Nureddin', 'Nooraldeen');
+    same('Ar-Rasheed', 'AlRasheed', 'Rashid');
+    same('Omar', 'Umar');
+    same('Gamal', 'Jamal');
+  });
+
+  test('keeps different names apart', () => {
+    expect(phoneticKey('Israa')).not.toBe(phoneticKey('Sara'));
+    expect(phoneticKey('Siwar')).not.toBe(phoneticKey('Sara'));
+    expect(phoneticKey('Elham')).not.toBe(phoneticKey('Ham'));
+    expect(nameWords('Dr. Madden')).toEqual(['madden']);
+  });
+});
+
+describe('HTUAssistant phonetic search', () => {
+  const a = new HTUAssistant();
+
+  test('ranks spelling variants right under exact matches', () => {
+    const [top] = a.searchScored('Malek Al-Louzi');
+    expect(top.doctor.name).toBe('Malek Allouzi');
+    expect(top.matchedFields).toContain('phonetic_name');
+    expect(top.score).toBeGreaterThan(300);
+    expect(top.score).toBeLessThan(a.searchScored('Malek Allouzi')[0].score);
+  });
+
+  test('matches name words in another spelling', () => {
+    const [top] = a.searchScored('Muhammad Al-Khatib');
+    expect(top.doctor.name).toBe('Mohammad NoorAldeen Alkhateeb');
+    expect(top.matchedFields).toContain('phonetic_tokens');
+    expect(a.search('Khatib').map(d => d.name)).toContain('Mohammad NoorAldeen Alkhateeb');
+    expect(a.search('Sara').map(d => d.name)).not.toContain('Israa Ibrahim Saadeh');
+  });
+});
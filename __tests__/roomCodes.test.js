@@ -0,0 +1,30 @@
+const nameSystem = require('../htuNameSystem.json');
+const { parseRoomCode, compactRoomCode, floorDigitsFromRules } = require('../roomCodes');
+
+describe('room code parsing', () => {
+  test('accepts any separator and case for the same room', () => {
+    ['S-315', 'S315', 's - 315', 'S–315'].forEach(raw => {
+      expect(parseRoomCode(raw, nameSystem)).toMatchObject({ valid: true, code: 'S-315', building: 'S', floor: 3, room: '15' });
+    });
+    expect(compactRoomCode('S – 315')).toBe('s315');
+  });
+
+  test('handles basements, multi-letter buildings and codes inside descriptions', () => {
+    expect(parseRoomCode('W-B05', nameSystem)).toMatchObject({ code: 'W-B05', basement: true, floor: -1, room: '05' });
+    expect(parseRoomCode('WS-102', nameSystem)).toMatchObject({ building: 'WS', floor: 1 });
+    expect(parseRoomCode('IJC 07', nameSystem)).toMatchObject({ code: 'IJC-07', floor: 0 });
+    expect(parseRoomCode('SCI Building, 3rd Floor – Red Building, Office S-312', nameSystem))
+      .toMatchObject({ valid: true, code: 'S-312', extracted: true });
+  });
+
+  test('flags values it cannot read', () => {
+    expect(parseRoomCode('IMAN-ICT', nameSystem)).toMatchObject({ valid: false, reason: expect.stringContaining('unknown building') });
+    expect(parseRoomCode('', nameSystem)).toMatchObject({ valid: false, empty: true });
+    expect(parseRoomCode('S-3', nameSystem).valid).toBe(false);
+  });
+
+  test('reads the floor digit count from format_rules', () => {
+    expect(floorDigitsFromRules(nameSystem.format_rules)).toBe(1);
+    expect(floorDigitsFromRules({ step_2: 'First two digits = Floor number' })).toBe(2);
+  });
+});
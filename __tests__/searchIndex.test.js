@@ -0,0 +1,63 @@
+const { SearchIndex, trigrams } = require('../searchIndex');
+const { HTUAssistant } = require('../utils');
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex()
+    .add(0, { words: ['malek', 'allouzi'], texts: ['malek allouzi'] })
+    .add(1, { words: ['ahmed', 'bataineh'], texts: ['ahmed bataineh'] })
+    .add(2, { words: ['athar', 'team'], texts: ['athar team'] });
+
+  test('finds words by prefix and texts by substring', () => {
+    expect(trigrams('malek')).toEqual(new Set(['mal', 'ale', 'lek']));
+    expect([...index.withPrefix('bat')]).toEqual([1]);
+    expect([...index.withWord('team')]).toEqual([2]);
+    expect([...index.containing('k allo')]).toEqual([0]);
+    expect(index.containing('al')).toBeNull();
+  });
+
+  test('finds typo candidates, including swapped letters', () => {
+    expect(index.similar(['ahed'], 0.4).has(1)).toBe(true);
+    expect(index.similar(['ahtar'], 0.4).has(2)).toBe(true);
+    expect(index.similar(['xyzzy'], 0.4).size).toBe(0);
+  });
+});
+
+describe('HTUAssistant indexed search', () => {
+  test('finds what a scan of every record finds and is rebuilt with the data', () => {
+    const a = new HTUAssistant();
+    a.doctors = [
+      { name: 'Malek Allouzi', department: 'Computer Science', office: 'S-315', email: 'malek.allouzi@htu.edu.jo' },
+      { name: 'Ahmed Bataineh', department: 'Cyber Security', office: 'N-402', email: 'ahmed.bataineh@htu.edu.jo' }
+    ];
+    a.searchIndex = a.buildSearchIndex();
+    ['Malek', 'ahmd bataineh', 'cyber', 'S315', 'htu.edu.jo'].forEach(query => {
+      const index = a.getSearchIndex().doctors;
+      const q = a.buildSearchQuery(query);
+      const scan = index.entries.map(entry => a.scoreDoctor(entry, q)).filter(Boolean);
+      expect(a.searchScored(query).map(r => r.doctor.name)).toEqual(a.rankResults(scan).map(r => r.doctor.name));
+    });
+
+    a.doctors = [{ name: 'Sara Masadeh', department: 'Data Science', office: 'W-214', email: 'sara.masadeh@htu.edu.jo' }];
+    a.searchIndex = a.buildSearchIndex();
+    expect(a.search('Malek')).toEqual([]);
+    expect(a.search('Sara')[0].name).toBe('Sara Masadeh');
+  });
+
+  test('only drops weak fuzzy matches of a full scan on the bundled data', () => {
+    const a = new HTUAssistant();
+    const fullScan = query => {
+      const q = a.buildSearchQuery(query);
+      return a.getSearchIndex().doctors.entries.map(entry => a.scoreDoctor(entry, q)).filter(Boolean);
+    };
+    ['alrasheex', 'hnaa', 'Almashaqbe', 'S-315', 'cyber', 'malek allouzi'].forEach(query => {
+      const found = a.searchScored(query).map(r => r.doctor.name);
+      const dropped = fullScan(query).filter(r => !found.includes(r.doctor.name));
+      dropped.forEach(r => {
+        expect(r.matchedFields).toEqual(['fuzzy_name']);
+        expect(r.score).toBeLessThan(65);
+      });
+    });
+    expect(fullScan('hnaa').map(r => r.doctor.name)).toContain('Sama Hamza');
+    expect(a.search('hnaa').map(d => d.name)).not.toContain('Sama Hamza');
+  });
+});
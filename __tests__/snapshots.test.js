@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSnapshot, listSnapshots, restoreSnapshot, readFiles, writeFiles } = require('../snapshots');
+
+describe('data snapshots', () => {
+  let tmp;
+  let files;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    files = { 'doctors.json': path.join(tmp, 'doctors.json') };
+    fs.writeFileSync(files['doctors.json'], '[1]');
+  });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('skips identical data and keeps only the newest snapshots', () => {
+    const dir = path.join(tmp, 'snapshots');
+    const first = createSnapshot(dir, files, { doctors: 1 }, 2, new Date('2026-01-01T10:00:00Z'));
+    expect(first.id).toBe('20260101-100000');
+    expect(createSnapshot(dir, files, {}, 2)).toBeNull();
+
+    fs.writeFileSync(files['doctors.json'], '[1,2]');
+    createSnapshot(dir, files, {}, 2, new Date('2026-01-02T10:00:00Z'));
+    fs.writeFileSync(files['doctors.json'], '[1,2,3]');
+    createSnapshot(dir, files, {}, 2, new Date('2026-01-03T10:00:00Z'));
+    expect(listSnapshots(dir).map(s => s.id)).toEqual(['20260103-100000', '20260102-100000']);
+  });
+
+  test('restores files and rejects unknown ids', () => {
+    const dir = path.join(tmp, 'snapshots');
+    const meta = createSnapshot(dir, files, {}, 5);
+    fs.writeFileSync(files['doctors.json'], 'broken');
+    expect(restoreSnapshot(dir, meta.id, files)).toEqual(['doctors.json']);
+    expect(fs.readFileSync(files['doctors.json'], 'utf8')).toBe('[1]');
+    expect(() => restoreSnapshot(dir, '../etc', files)).toThrow('Invalid snapshot id');
+  });
+
+  test('puts back the files a restore replaced', () => {
+    const dir = path.join(tmp, 'snapshots');
+    const meta = createSnapshot(dir, files, {}, 5);
+    fs.writeFileSync(files['doctors.json'], '[1,2]');
+    const previous = readFiles(files);
+    restoreSnapshot(dir, meta.id, files);
+    writeFiles(files, previous);
+    expect(fs.readFileSync(files['doctors.json'], 'utf8')).toBe('[1,2]');
+  });
+});
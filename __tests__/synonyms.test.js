@@ -0,0 +1,59 @@
+const { buildSynonymTable, expandQuery, parseSynonymCommand } = require('../synonyms');
+const { HTUAssistant } = require('../utils');
+
+describe('synonyms', () => {
+  const table = buildSynonymTable([
+    { cs: 'Computer Science', computer: 'Computer Science', 'red building': 'South Building' },
+    { cs: 'Computer Science Department' }
+  ], text => text.toLowerCase().trim());
+
+  test('expands whole words and phrases, later sources winning', () => {
+    expect(expandQuery('cs doctors', table)).toBe('Computer Science Department');
+    expect(expandQuery('the red building', table)).toBe('the South Building');
+    expect(expandQuery('physics', table)).toBeNull();
+    expect(expandQuery('computer science', table)).toBeNull();
+  });
+
+  test('parses /synonym commands with quoted phrases', () => {
+    expect(parseSynonymCommand('/synonym add cs "Computer Science"')).toEqual({ action: 'add', term: 'cs', expansion: 'Computer Science' });
+    expect(parseSynonymCommand('/synonym add “علوم الحاسوب” “Computer Science”')).toEqual({ action: 'add', term: 'علوم الحاسوب', expansion: 'Computer Science' });
+    expect(parseSynonymCommand('/synonym remove cs')).toEqual({ action: 'remove', term: 'cs' });
+    expect(parseSynonymCommand('/synonym')).toEqual({ action: 'list' });
+    expect(parseSynonymCommand('/synonym add cs')).toBeNull();
+  });
+});
+
+describe('HTUAssistant synonyms', () => {
+  let a;
+  beforeAll(() => {
+    a = new HTUAssistant();
+  });
+  const inDepartment = (results, department) => results.length > 0 && results.every(d => d.department === department);
+
+  test('search, natural language questions and suggestions use them', () => {
+    expect(inDepartment(a.search('dsai'), 'Data Science and Artificial Intelligence')).toBe(true);
+    expect(inDepartment(a.search('علوم الحاسوب'), 'Computer Science')).toBe(true);
+    expect(a.parseNaturalLanguageQuery('dsai department').entity).toBe('Data Science and Artificial Intelligence');
+    expect(a.getSmartSuggestions('dsia')).toContain('Data Science and Artificial Intelligence');
+  });
+
+  test('rank synonym matches first and drop filler words', () => {
+    expect(a.search('ai').slice(0, 5).map(d => d.department)).toEqual(Array(5).fill('Data Science and Artificial Intelligence'));
+    expect(inDepartment(a.search('cs doctors'), 'Computer Science')).toBe(true);
+  });
+
+  test('only suggest expansions that find something', () => {
+    a.addSynonym('admin', 'Administration');
+    expect(a.getSmartSuggestions('admin')).toEqual([]);
+    a.removeSynonym('admin');
+  });
+
+  test('admin synonyms apply at once and can be removed', () => {
+    expect(a.search('infosec')).toEqual([]);
+    expect(a.addSynonym('infosec', 'Cyber Security')).toMatchObject({ ok: true, term: 'infosec' });
+    expect(inDepartment(a.search('infosec'), 'Cyber Security')).toBe(true);
+    expect(a.addSynonym('infosec', 'infosec').ok).toBe(false);
+    expect(a.removeSynonym('infosec')).toBe(true);
+    expect(a.search('infosec')).toEqual([]);
+  });
+});
@@ -15,3 +15,156 @@ describe('HTUAssistant basic', () => {
     expect(out).toContain('dr');
   });
 });
+
+describe('HTUAssistant availability questions', () => {
+  const a = new HTUAssistant();
+  const monday = new Date('2026-10-19T09:00:00Z');
+
+  test('keeps only the name as the entity', () => {
+    expect(a.parseNaturalLanguageQuery('What are Malek office hours on Sunday?', monday)).toMatchObject({ intent: 'availability', entity: 'malek' });
+    expect(a.parseNaturalLanguageQuery('when is malek free tomorrow', monday)).toMatchObject({ intent: 'availability', entity: 'malek' });
+    expect(a.parseNaturalLanguageQuery('does sama hamza have office hours tomorrow', monday).entity).toBe('sama hamza');
+    expect(a.parseNaturalLanguageQuery('who is free tuesday at 11?', monday).entity).toBe('');
+  });
+});
+
+describe('HTUAssistant doctor change diff', () => {
+  const a = new HTUAssistant();
+
+  test('reports office hours, office and email changes matched by name', () => {
+    const before = [{ name: 'Dr. Test', email: 'test@htu.edu.jo', office: 'S-321', office_hours: { Sunday: '10:00 AM – 11:00 AM' } }];
+    const after = [{ name: 'Dr. Test', email: 'test2@htu.edu.jo', office: 'S-321', office_hours: { Monday: '10:00 AM – 11:00 AM' } }];
+    const [change] = a.diffDoctorDetails(before, after);
+    expect(change).toMatchObject({ key: 'test@htu.edu.jo', newKey: 'test2@htu.edu.jo' });
+    expect(change.fields.map(f => f.field)).toEqual(['office_hours', 'email']);
+    expect(a.diffDoctorDetails(before, before)).toEqual([]);
+  });
+
+  test('escapes changed values for legacy Markdown', () => {
+    const before = [{ name: 'Dr. Test', email: 'first_last@htu.edu.jo', office_hours: { Sunday: '10:00 AM – 11:00 AM *online*' } }];
+    const after = [{ name: 'Dr. Test', email: 'first.last@htu.edu.jo', office_hours: {} }];
+    const message = a.formatDoctorChange(a.diffDoctorDetails(before, after)[0]);
+    expect(message).toContain('first\\_last@htu.edu.jo → first.last@htu.edu.jo');
+    expect(message).toContain('Sunday: 10:00 AM – 11:00 AM \\*online\\* → (removed)');
+  });
+});
+
+describe('HTUAssistant reload validation', () => {
+  const a = new HTUAssistant();
+
+  test('rejects empty or malformed datasets', () => {
+    expect(a.validateDataset({ doctors: [], clubs: a.clubs, nameSystem: {} })).toEqual(['doctors data is empty']);
+    expect(a.validateDataset({ doctors: a.doctors, clubs: a.clubs, nameSystem: a.nameSystem })).toEqual([]);
+  });
+
+  test('diffs added, removed and changed doctors', () => {
+    const before = [{ name: 'A', email: 'a@htu.edu.jo', office: 'S-1' }, { name: 'B', email: 'b@htu.edu.jo' }];
+    const after = [{ name: 'A', email: 'a@htu.edu.jo', office: 'S-2' }, { name: 'C', email: 'c@htu.edu.jo' }];
+    const { doctors } = a.diffDatasets({ doctors: before, clubs: [] }, { doctors: after, clubs: [] });
+    expect(doctors).toEqual({ added: ['C'], removed: ['B'], changed: [{ name: 'A', fields: ['office'] }] });
+  });
+});
+
+describe('HTUAssistant rooms', () => {
+  const a = new HTUAssistant();
+
+  test('reads bare room codes from text and finds who sits there', () => {
+    const room = a.parseRoomQuery('where is s315?');
+    expect(room).toMatchObject({ code: 'S-315', floor: 3 });
+    expect(a.getRoomOccupants(room.code).length).toBeGreaterThan(0);
+    expect(a.parseRoomQuery('Sama Hamza')).toBeNull();
+  });
+});
+
+describe('HTUAssistant building directory', () => {
+  const a = new HTUAssistant();
+
+  test('groups offices by floor with the basement first', () => {
+    const floors = a.getBuildingDirectory('W');
+    expect(floors[0]).toMatchObject({ basement: true, label: 'Basement' });
+    expect(floors[0].rooms[0].code).toBe('W-B05');
+    expect(floors.map(f => f.floor)).toEqual([...floors.map(f => f.floor)].sort((x, y) => x - y));
+  });
+});
+
+describe('HTUAssistant building search', () => {
+  const a = new HTUAssistant();
+
+  test('matches codes, nicknames, colours and Arabic nicknames', () => {
+    expect(a.searchBuildings('blue building')[0]).toMatchObject({ code: 'N' });
+    expect(a.searchBuildings('الهندي')[0]).toMatchObject({ code: 'IJC' });
+    expect(a.searchBuildings('yellow')[0]).toMatchObject({ code: 'IJC', matchedFields: ['color'] });
+    expect(a.searchBuildings('WS')[0]).toMatchObject({ code: 'WS', score: 300 });
+  });
+
+  test('ranks a strong building match ahead of doctors and clubs', () => {
+    expect(a.searchEverything('red').order[0]).toBe('buildings');
+    expect(a.searchEverything('Sama').order).not.toContain('buildings');
+  });
+});
+
+describe('HTUAssistant locations', () => {
+  const a = new HTUAssistant();
+
+  test('finds the nearest building to a location pin', () => {
+    const { lat, lng } = a.nameSystem.legend.IJC.coordinates;
+    expect(a.findNearestBuilding(lat + 0.00001, lng)).toMatchObject({ code: 'IJC' });
+    expect(a.formatDistance(1234)).toBe('~1.2 km');
+  });
+
+  test('filters doctors available now by building', () => {
+    const tuesday = new Date('2026-10-20T12:00:00Z'); // 3:00 PM in Amman
+    const all = a.getAvailableNow({}, tuesday);
+    const inSouth = a.getAvailableNow({ building: 'S' }, tuesday);
+    expect(inSouth.every(e => a.parseOffice(e.doctor.office).building === 'S')).toBe(true);
+    expect(inSouth.length).toBeLessThanOrEqual(all.length);
+  });
+});
+
+describe('HTUAssistant share card', () => {
+  const a = new HTUAssistant();
+
+  test('includes contact details and office hours without chat hints', () => {
+    const card = a.formatDoctorCard({ name: 'Dr. Test Al-Fakhore', department: 'CS', email: 't@htu.edu.jo', office: 'S-321', office_hours: { Sunday: '10:00 AM – 11:00 AM' } });
+    expect(card).toContain('*Dr. Test Al-Fakhore*');
+    expect(card).not.toContain('\\');
+    expect(card).toContain('mailto:t@htu.edu.jo');
+    expect(card).toContain('Sunday: 10:00 AM – 11:00 AM');
+    expect(card).not.toMatch(/Tap|Ask me/);
+  });
+
+  test('escapes data for legacy Markdown without breaking the bold name or email link', () => {
+    const card = a.formatDoctorCard({ name: 'Dr. Test', school: 'School_of_Computing', department: 'R*D', email: 'first_last@htu.edu.jo', office: 'Lab_2' });
+    expect(card).toContain('[first_last@htu.edu.jo](mailto:first_last@htu.edu.jo)');
+    expect(card).toContain('School\\_of\\_Computing');
+    expect(card).toContain('R\\*D');
+    expect(card).toContain('Lab\\_2');
+  });
+});
+
+describe('HTUAssistant deep links', () => {
+  const a = new HTUAssistant();
+
+  test('gives every doctor and club a unique slug that resolves back', () => {
+    const doctor = a.doctors[0];
+    const slug = a.getDoctorSlug(doctor);
+    expect(slug).toMatch(/^[a-z0-9-]{1,48}$/);
+    expect(a.resolveStartPayload(`doctor_${slug}`)).toEqual({ kind: 'doctor', record: doctor });
+    expect(a.resolveStartPayload(`club_${a.getClubSlug(a.clubs[0])}`).record).toBe(a.clubs[0]);
+    expect(a.slugs.doctors.bySlug.size).toBe(a.doctors.length);
+    expect(a.resolveStartPayload('doctor_nobody-here')).toBeNull();
+    expect(a.resolveStartPayload('something else')).toBeNull();
+  });
+
+  test('builds readable slugs and separates clashing names', () => {
+    const b = new HTUAssistant();
+    b.doctors = [
+      { name: 'Dr. Ahmad Al-Nimer', email: 'a.nimer@htu.edu.jo' },
+      { name: 'Ahmad Al Nimer', email: 'ahmad.n@htu.edu.jo' }
+    ];
+    b.clubs = [];
+    b.slugs = b.buildSlugs();
+    expect(b.getDoctorSlug(b.doctors[0])).toBe('ahmad-al-nimer');
+    expect(b.getDoctorSlug(b.doctors[1])).toBe('ahmad-al-nimer-ahmad-n');
+  });
+});
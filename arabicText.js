@@ -0,0 +1,101 @@
+// Arabic-script helpers for search.
+// Students type names both ways: "محمد الخطيب" for a doctor stored as
+// "Mohammad Al-Khateeb", or the Latin spelling of an Arabic club name. Arabic
+// spelling varies (أحمد/احمد, فاطمة/فاطمه, مصطفى/مصطفي, harakat, tatweel), and
+// Latin spellings of the same name vary even more, so matching across scripts
+// compares a consonant skeleton of each side instead of the letters.
+
+// Fathatan..sukun, small high marks, superscript alef and Quranic marks
+const HARAKAT = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const ARABIC_LETTER = /[\u0621-\u064A\u0671-\u06D3]/;
+
+// Spelling variants folded onto one letter
+const LETTER_VARIANTS = {
+    'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+    'ؤ': 'و',
+    'ئ': 'ي', 'ى': 'ي',
+    'ة': 'ه'
+};
+
+// Arabic-Indic and Eastern Arabic-Indic digits → 0-9, so "س-٣١٥" style input still has numbers
+const DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+// Consonant classes shared by both scripts. Letters Latin spellings swap freely
+// share a class (ص/س → s, ط/ت/ث → t, ق/ك → k, ذ/ض/د → d); long vowels, ع and hamza
+// are dropped because Latin spellings add or omit vowels at will.
+const ARABIC_CLASSES = {
+    'ب': 'b', 'پ': 'b', 'ت': 't', 'ث': 't', 'ط': 't', 'ج': 'j', 'چ': 'j',
+    'ح': 'h', 'ه': 'h', 'خ': 'x', 'د': 'd', 'ذ': 'd', 'ض': 'd',
+    'ر': 'r', 'ز': 'z', 'ظ': 'z', 'س': 's', 'ص': 's', 'ش': 'c',
+    'غ': 'g', 'گ': 'g', 'ف': 'f', 'ڤ': 'f', 'ق': 'k', 'ك': 'k',
+    'ل': 'l', 'م': 'm', 'ن': 'n',
+    'ا': '', 'و': '', 'ي': '', 'ء': '', 'ع': ''
+};
+const LATIN_CLASSES = {
+    kh: 'x', sh: 'c', gh: 'g', th: 't', dh: 'd', ph: 'f',
+    c: 'k', q: 'k', v: 'f', p: 'b',
+    a: '', e: '', i: '', o: '', u: '', w: '', y: ''
+};
+
+// Long vowels for vowelledKey(): ا/ي/و and their usual Latin spellings; ع is
+// written as a vowel in Latin (Ali, Omar)
+const ARABIC_VOWELS = { 'ا': 'a', 'ي': 'i', 'و': 'u', 'ع': 'a' };
+const LATIN_VOWELS = { ee: 'i', oo: 'u', ou: 'u', a: 'a', e: 'a', i: 'i', y: 'i', o: 'u', u: 'u', w: 'u' };
+
+function hasArabic(text) {
+    return ARABIC_LETTER.test(String(text || ''));
+}
+
+// Fold Arabic spelling variants: alef/hamza forms, taa marbuta, alef maqsura,
+// tatweel and harakat. Latin text passes through unchanged.
+function normalizeArabic(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(HARAKAT, '')
+        .replace(TATWEEL, '')
+        .replace(/[\u0622\u0623\u0625\u0671\u0624\u0626\u0649\u0629]/g, ch => LETTER_VARIANTS[ch])
+        .replace(DIGITS, d => String(d.charCodeAt(0) & 0xf));
+}
+
+// Consonant skeleton used to compare names across scripts:
+// "محمد الخطيب" and "Mohammad Al-Khateeb" both give "mhmdlxtb".
+// Word-final h after a consonant is dropped (فاطمة/Fatima), repeats collapse (Mohammad/محمد),
+// and spaces are ignored so "Abdullah" matches "عبد الله".
+function transliterationKey(text) {
+    return normalizeArabic(String(text || '').toLowerCase())
+        .split(/[^a-z\u0621-\u064A\u067E\u0686\u06A4\u06AF]+/)
+        .map(word => word
+            .replace(/kh|sh|gh|th|dh|ph|[a-z]|[^a-z]/g, part => {
+                if (part in LATIN_CLASSES) return LATIN_CLASSES[part];
+                if (part in ARABIC_CLASSES) return ARABIC_CLASSES[part];
+                return /[a-z]/.test(part) ? part : '';
+            })
+            .replace(/(.)h$/, '$1'))
+        .join('')
+        .replace(/(.)\1+/g, '$1');
+}
+
+// One word's skeleton with its long vowels kept, to tell apart names the
+// skeleton alone can't: "اسماء" gives "asma" like Asma, not "sami" like Sami.
+// A leading و/ي/w/y stays a consonant.
+function vowelledKey(word) {
+    return normalizeArabic(String(word || '').toLowerCase())
+        .replace(/[^a-z\u0621-\u064A\u067E\u0686\u06A4\u06AF]/g, '')
+        .replace(/kh|sh|gh|th|dh|ph|ee|oo|ou|[a-z]|[^a-z]/g, (part, offset) => {
+            if (offset === 0 && /^[wyوي]$/.test(part)) return part === 'و' ? 'w' : part === 'ي' ? 'y' : part;
+            if (part in LATIN_VOWELS) return LATIN_VOWELS[part];
+            if (part in ARABIC_VOWELS) return ARABIC_VOWELS[part];
+            if (part in LATIN_CLASSES) return LATIN_CLASSES[part];
+            if (part in ARABIC_CLASSES) return ARABIC_CLASSES[part];
+            return /[a-z]/.test(part) ? part : '';
+        })
+        .replace(/(.)h$/, '$1')
+        .replace(/(.)\1+/g, '$1');
+}
+
+module.exports = {
+    hasArabic,
+    normalizeArabic,
+    transliterationKey,
+    vowelledKey
+};
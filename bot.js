@@ -1,5 +1,10 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { HTUAssistant, ensureDirForFile } = require('./utils');
+const { reminderTime, minutesUntilWeekly, zonedDayTime, formatMinutes } = require('./officeHours');
+const { datasetSignature, listSnapshots, createSnapshot, restoreSnapshot, readFiles, writeFiles } = require('./snapshots');
+const { DEFAULT_GROUP_SETTINGS, GROUP_SETTING_LABELS, isGroupChat, normalizeGroupSettings, commandTarget, stripCommandTarget, repliesToBot, addressedQuery } = require('./groupChat');
+const { parseSynonymCommand } = require('./synonyms');
+const { parseFieldQuery, withoutFilter } = require('./fieldQuery');
 const config = require('./config');
 const cron = require('node-cron');
 const http = require('http');
@@ -14,19 +19,67 @@ const bot = new TelegramBot(config.BOT_TOKEN, { polling });
 if (!polling) console.log('⚠️ Bot polling disabled (NO_POLL=1 or DEBUG_NO_POLL=1) — running in dry mode');
 const htuAssistant = new HTUAssistant();
 
+// Our own { id, username }, needed to tell mentions and "/cmd@OtherBot" apart in groups
+const botIdentity = { id: null, username: config.BOT_USERNAME };
+bot.getMe()
+    .then(me => Object.assign(botIdentity, { id: me.id, username: me.username }))
+    .catch(e => console.error('Could not fetch bot identity:', e.message || e));
+
+// Register a command handler that only sees commands addressed to us:
+// "/start@OtherBot" is skipped and "/route@OurBot A to B" is matched as "/route A to B".
+function onCommand(regexp, handler) {
+    bot.onText(regexp, (msg, match) => {
+        const target = commandTarget(msg.text);
+        if (!target) return handler(msg, match);
+        if (!botIdentity.username || target.toLowerCase() !== botIdentity.username.toLowerCase()) return undefined;
+        regexp.lastIndex = 0;
+        const stripped = stripCommandTarget(msg.text);
+        const strippedMatch = regexp.exec(stripped);
+        return strippedMatch ? handler(Object.assign({}, msg, { text: stripped }), strippedMatch) : undefined;
+    });
+}
+
 // User sessions for better interaction
 const userSessions = new Map();
 
-// Helper: check or init session for a chat
-function ensureSession(chatId) {
-    const s = userSessions.get(chatId) || { timestamp: Date.now(), beginner: false };
-    userSessions.set(chatId, s);
+// Sessions belong to the chat in private chats and to each member in groups,
+// so people searching in the same group don't overwrite each other's results
+function sessionKey(chat, userId) {
+    return isGroupChat(chat) ? `${chat.id}:${userId}` : chat.id;
+}
+
+// Helper: check or init session for a chat (or a group member, see sessionKey)
+function ensureSession(key) {
+    const s = userSessions.get(key) || { timestamp: Date.now(), beginner: false };
+    userSessions.set(key, s);
     return s;
 }
 
+// Store new search results for a session. The session object is replaced, not
+// edited, so an older results message keeps its own results and compare picks
+// made on them are dropped; preferences such as beginner mode carry over.
+function replaceResults(key, results) {
+    const session = Object.assign({}, userSessions.get(key), results, { timestamp: Date.now() });
+    delete session.commonPicks;
+    userSessions.set(key, session);
+    return session;
+}
+
+// Result buttons posted in a group can be tapped by any member, so the results
+// behind them are also kept under the message that shows them
+function rememberResults(sent, session) {
+    if (sent && isGroupChat(sent.chat)) userSessions.set(`${sent.chat.id}@${sent.message_id}`, session);
+}
+
+// Session holding the results behind a tapped button: the one kept for that
+// message in a group, else the tapper's own
+function resultsSession(message, userId) {
+    return userSessions.get(`${message.chat.id}@${message.message_id}`) || userSessions.get(sessionKey(message.chat, userId));
+}
+
 // Helper: build simple inline keyboard for beginners or normal keyboard
-function buildWelcomeInline(chatId) {
-    const s = ensureSession(chatId);
+function buildWelcomeInline(sessionId) {
+    const s = ensureSession(sessionId);
     const beginnerLabel = s.beginner ? 'Turn off Beginner' : 'Beginner Help';
     return {
         inline_keyboard: [
@@ -37,13 +90,59 @@ function buildWelcomeInline(chatId) {
     };
 }
 
+// Helper: "available now" message + keyboard, optionally filtered by department index
+// or building code
+function buildAvailableNow(deptIndex, building) {
+    const departments = htuAssistant.getDepartments();
+    const department = Number.isInteger(deptIndex) ? departments[deptIndex] : '';
+    const entries = htuAssistant.getAvailableNow({ department, building });
+    const text = htuAssistant.formatAvailableNow(entries, { department, building });
+
+    // Offer a filter button for each department that has someone available right now
+    const available = department || building ? [] : [...new Set(htuAssistant.getAvailableNow().map(e => e.doctor.department))]
+        .filter(d => departments.includes(d));
+    const keyboard = { inline_keyboard: [] };
+    available.forEach(d => {
+        keyboard.inline_keyboard.push([{ text: `📚 ${d}`, callback_data: `now_dept_${departments.indexOf(d)}` }]);
+    });
+    if (building) keyboard.inline_keyboard.push([{ text: '🔄 Refresh', callback_data: `now_bld_${building}` }]);
+    keyboard.inline_keyboard.push([
+        { text: department || building ? '👥 Everyone' : '🔄 Refresh', callback_data: 'now' },
+        { text: '🏠 Back to Start', callback_data: 'start' }
+    ]);
+    return { text, keyboard };
+}
+
+// Helper: checkbox keyboard for picking doctors from the last search to compare office hours
+function buildCommonPickKeyboard(session) {
+    const picks = session.commonPicks || [];
+    const rows = (session.results || []).map((doctor, index) => ([{
+        text: `${picks.includes(index) ? '✅' : '⬜'} ${doctor.name}`,
+        callback_data: `common_toggle_${index}`
+    }]));
+    rows.push([
+        { text: `🤝 Find common time (${picks.length})`, callback_data: 'common_go' },
+        { text: '🏠 Back to Start', callback_data: 'start' }
+    ]);
+    return { inline_keyboard: rows };
+}
+
 // Search history for users (in-memory backed by file)
 const searchHistory = new Map();
 
-// Map for repeat-search short ids
+// Map for repeat-search short ids; the oldest ids are dropped once it is full
 const repeatSearchMap = new Map();
+const REPEAT_SEARCH_LIMIT = 1000;
 let repeatCounter = 0;
 
+// Short id for a button that runs `query` again ("repeat_searchid_<id>")
+function repeatSearchId(query) {
+    const id = `r${++repeatCounter}`;
+    if (repeatSearchMap.size >= REPEAT_SEARCH_LIMIT) repeatSearchMap.delete(repeatSearchMap.keys().next().value);
+    repeatSearchMap.set(id, query);
+    return id;
+}
+
 // Fun usage stats (in-memory backed by file)
 
 let funStats = {
@@ -78,6 +177,26 @@ function saveJson(filePath, data) {
     }
 }
 
+// Telegram caps messages at 4096 chars; split long reports on blank lines
+async function sendLongMessage(chatId, text, options = {}) {
+    const limit = 3800;
+    const chunks = [];
+    let current = '';
+    String(text).split('\n\n').forEach(block => {
+        const candidate = current ? `${current}\n\n${block}` : block;
+        if (candidate.length > limit && current) {
+            chunks.push(current);
+            current = block;
+        } else {
+            current = candidate;
+        }
+    });
+    if (current) chunks.push(current);
+    for (const chunk of chunks) {
+        await bot.sendMessage(chatId, chunk.slice(0, 4096), options);
+    }
+}
+
 // ...existing code...
 
 // /ai command (AI integration removed)
@@ -126,6 +245,8 @@ function loadUserPrefs() {
 function saveUserPrefs() {
     const obj = {};
     for (const [uid, prefs] of userSessions.entries()) {
+        // group member sessions ("<chat>:<user>") only live as long as the process
+        if (typeof uid !== 'number') continue;
         // only persist small prefs (beginner) to avoid storing large session state
         obj[uid] = { beginner: prefs.beginner === true };
     }
@@ -133,6 +254,339 @@ function saveUserPrefs() {
 }
 loadUserPrefs();
 
+// Office-hours reminders: persisted to REMINDERS_PATH and scheduled with node-cron
+// in campus time. Each entry targets one weekly slot of one doctor.
+const REMINDER_LEADS = [10, 30, 60];
+const MAX_REMINDERS_PER_CHAT = 20;
+let reminders = [];
+const reminderTasks = new Map();
+
+function saveReminders() {
+    saveJson(config.REMINDERS_PATH, reminders);
+}
+
+async function fireReminder(reminder) {
+    const doctor = htuAssistant.findDoctorByKey(reminder.doctorKey);
+    const name = doctor ? doctor.name : reminder.doctorName;
+    let text = `⏰ **Reminder:** ${name}'s office hours start in ${reminder.lead} min\n`;
+    text += `📅 ${reminder.day} ${formatMinutes(reminder.start)} – ${formatMinutes(reminder.end)}`;
+    if (doctor && doctor.office) text += `\n${htuAssistant.formatOfficeLocation(doctor.office)}`;
+    try {
+        await bot.sendMessage(reminder.chatId, text, { parse_mode: 'Markdown' });
+    } catch (e) {
+        console.error('Error sending reminder', reminder.id, e.message || e);
+    }
+    if (reminder.repeat === 'once') cancelReminder(reminder.id);
+}
+
+function scheduleReminder(reminder) {
+    const when = reminderTime({ dayIndex: reminder.dayIndex, start: reminder.start }, reminder.lead);
+    const task = cron.schedule(when.cron, () => fireReminder(reminder), { timezone: config.TIMEZONE });
+    reminderTasks.set(reminder.id, task);
+}
+
+function cancelReminder(id) {
+    const task = reminderTasks.get(id);
+    if (task) {
+        try { task.stop(); } catch (e) { /* ignore */ }
+        reminderTasks.delete(id);
+    }
+    const before = reminders.length;
+    reminders = reminders.filter(r => r.id !== id);
+    if (reminders.length !== before) saveReminders();
+    return reminders.length !== before;
+}
+
+function addReminder(chatId, userId, doctor, lead, repeat) {
+    const slot = htuAssistant.getReminderSlot(doctor, lead);
+    if (!slot) return { error: 'no_slot' };
+    const doctorKey = htuAssistant.getDoctorKey(doctor);
+    const existing = reminders.find(r => r.chatId === chatId && r.doctorKey === doctorKey &&
+        r.dayIndex === slot.dayIndex && r.start === slot.start && r.lead === lead && r.repeat === repeat);
+    if (existing) return { reminder: existing, duplicate: true };
+    if (reminders.filter(r => r.chatId === chatId).length >= MAX_REMINDERS_PER_CHAT) return { error: 'limit' };
+
+    const when = reminderTime(slot, lead);
+    const reminder = {
+        id: `m${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`,
+        chatId,
+        userId,
+        doctorKey,
+        doctorName: doctor.name,
+        day: slot.day,
+        dayIndex: slot.dayIndex,
+        start: slot.start,
+        end: slot.end,
+        lead,
+        repeat,
+        createdAt: Date.now(),
+        // One-off reminders remember their due time so a restart after it passed drops them
+        fireAt: repeat === 'once'
+            ? Date.now() + minutesUntilWeekly(when, zonedDayTime(new Date(), config.TIMEZONE)) * 60000
+            : null
+    };
+    reminders.push(reminder);
+    scheduleReminder(reminder);
+    saveReminders();
+    return { reminder };
+}
+
+function loadReminders() {
+    const raw = loadJson(config.REMINDERS_PATH, []);
+    const now = Date.now();
+    reminders = (Array.isArray(raw) ? raw : []).filter(r => !(r.repeat === 'once' && r.fireAt && r.fireAt < now));
+    reminders.forEach(scheduleReminder);
+    if (reminders.length !== (Array.isArray(raw) ? raw.length : 0)) saveReminders();
+    console.log(`⏰ Scheduled ${reminders.length} office-hours reminders`);
+}
+
+function formatReminderList(chatId) {
+    const mine = reminders.filter(r => r.chatId === chatId);
+    if (mine.length === 0) {
+        return { text: '⏰ **Your Reminders**\n\nYou have no reminders yet.\n\n💡 **Tip:** Open a doctor card and tap "Remind me".', keyboard: { inline_keyboard: [[{ text: '🏠 Back to Start', callback_data: 'start' }]] } };
+    }
+    let text = `⏰ **Your Reminders**\n\n`;
+    const keyboard = { inline_keyboard: [] };
+    mine.forEach((r, index) => {
+        text += `${index + 1}. **${r.doctorName}**\n`;
+        text += `   📅 ${r.day} ${formatMinutes(r.start)} — ${r.lead} min before (${r.repeat === 'weekly' ? 'every week' : 'once'})\n\n`;
+        keyboard.inline_keyboard.push([{ text: `❌ Cancel ${index + 1}. ${r.doctorName}`, callback_data: `remcancel_${r.id}` }]);
+    });
+    keyboard.inline_keyboard.push([{ text: '🏠 Back to Start', callback_data: 'start' }]);
+    return { text, keyboard };
+}
+
+// Followed doctors per chat ({ chatId: [doctorKey, ...] }), persisted to FOLLOWS_PATH.
+// Followers get a before/after message when a reload changes that doctor.
+const follows = new Map();
+
+function saveFollows() {
+    const obj = {};
+    for (const [chatId, keys] of follows.entries()) obj[chatId] = keys;
+    saveJson(config.FOLLOWS_PATH, obj);
+}
+
+function loadFollows() {
+    const raw = loadJson(config.FOLLOWS_PATH, {});
+    Object.entries(raw).forEach(([chatId, keys]) => {
+        if (Array.isArray(keys)) follows.set(Number(chatId), keys);
+    });
+}
+
+function isFollowing(chatId, key) {
+    return (follows.get(chatId) || []).includes(key);
+}
+
+function toggleFollow(chatId, key) {
+    const keys = follows.get(chatId) || [];
+    const next = keys.includes(key) ? keys.filter(k => k !== key) : keys.concat(key);
+    if (next.length > 0) follows.set(chatId, next); else follows.delete(chatId);
+    saveFollows();
+    return next.includes(key);
+}
+
+// Send each follower the diff for doctors changed by a reload
+async function notifyFollowers(doctorChanges) {
+    if (!doctorChanges || doctorChanges.length === 0) return;
+    let moved = false;
+    for (const change of doctorChanges) {
+        const text = htuAssistant.formatDoctorChange(change);
+        for (const [chatId, keys] of follows.entries()) {
+            if (!keys.includes(change.key)) continue;
+            // Keep following the doctor when their key (email) changed
+            if (change.newKey !== change.key) {
+                follows.set(chatId, keys.map(k => (k === change.key ? change.newKey : k)));
+                moved = true;
+            }
+            try {
+                await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', disable_web_page_preview: true });
+            } catch (e) {
+                console.error('Error notifying follower', chatId, e.message || e);
+            }
+        }
+    }
+    if (moved) saveFollows();
+}
+
+function formatFollowingList(chatId) {
+    const keys = follows.get(chatId) || [];
+    const keyboard = { inline_keyboard: [] };
+    if (keys.length === 0) {
+        keyboard.inline_keyboard.push([{ text: '🏠 Back to Start', callback_data: 'start' }]);
+        return { text: '⭐ **Following**\n\nYou are not following anyone yet.\n\n💡 **Tip:** Open a doctor card and tap "Follow" to hear when their office hours change.', keyboard };
+    }
+    let text = `⭐ **Following (${keys.length})**\n\n`;
+    keys.forEach((key, index) => {
+        const doctor = htuAssistant.findDoctorByKey(key);
+        const name = doctor ? doctor.name : key;
+        text += `${index + 1}. **${name}**${doctor ? ` (${doctor.department})` : ' — no longer listed'}\n`;
+        keyboard.inline_keyboard.push([{ text: `🚫 Unfollow ${name}`, callback_data: `unfollow_${key}` }]);
+    });
+    text += `\n🔔 You'll get a message when their office hours, office or email change.`;
+    keyboard.inline_keyboard.push([{ text: '🏠 Back to Start', callback_data: 'start' }]);
+    return { text, keyboard };
+}
+
+// Group answer settings per chat ({ chatId: { mentions, replies, find, thread } }),
+// persisted to GROUP_SETTINGS_PATH. Chats without an entry use the defaults.
+const groupSettings = new Map();
+
+function saveGroupSettings() {
+    const obj = {};
+    for (const [chatId, settings] of groupSettings.entries()) obj[chatId] = settings;
+    saveJson(config.GROUP_SETTINGS_PATH, obj);
+}
+
+function loadGroupSettings() {
+    const raw = loadJson(config.GROUP_SETTINGS_PATH, {});
+    Object.entries(raw).forEach(([chatId, settings]) => {
+        groupSettings.set(Number(chatId), normalizeGroupSettings(settings));
+    });
+}
+
+function getGroupSettings(chatId) {
+    return groupSettings.get(chatId) || normalizeGroupSettings();
+}
+
+// Only the group's creator and administrators may change its settings
+async function isGroupAdmin(chatId, userId) {
+    try {
+        const member = await bot.getChatMember(chatId, userId);
+        return ['creator', 'administrator'].includes(member.status);
+    } catch (e) {
+        console.error('Error checking group admin', chatId, e.message || e);
+        return false;
+    }
+}
+
+function buildGroupSettingsKeyboard(chatId) {
+    const settings = getGroupSettings(chatId);
+    const keyboard = {
+        inline_keyboard: Object.keys(DEFAULT_GROUP_SETTINGS).map(key => ([{
+            text: `${settings[key] ? '✅' : '⬜'} ${GROUP_SETTING_LABELS[key]}`,
+            callback_data: `gset_${key}`
+        }]))
+    };
+    const text = '⚙️ **Group settings**\n\nIn this group I only answer messages meant for me. Group admins can choose which:';
+    return { text, keyboard };
+}
+
+// Answers in groups quote the asking message unless the group turned threading off
+function replyOptions(msg, options = {}) {
+    if (!isGroupChat(msg.chat) || !getGroupSettings(msg.chat.id).thread) return options;
+    return Object.assign({ reply_to_message_id: msg.message_id, allow_sending_without_reply: true }, options);
+}
+
+// Send the /room card for a parsed room; occupants become buttons via the
+// search session so the usual doctor_<index> callback opens their card
+async function sendRoomInfo(chatId, sessionId, room, options = {}) {
+    const occupants = htuAssistant.getRoomOccupants(room.code);
+    const keyboard = { inline_keyboard: [] };
+    let session = null;
+    if (occupants.length > 0) {
+        session = replaceResults(sessionId, { results: occupants, clubs: [], query: room.code });
+        occupants.forEach((doctor, index) => {
+            keyboard.inline_keyboard.push([{ text: `👨‍🏫 ${doctor.name}`, callback_data: `doctor_${index}` }]);
+        });
+    }
+    if (htuAssistant.getMappableRoom(room.code)) {
+        keyboard.inline_keyboard.push([{ text: '🗺️ Show on map', callback_data: `map_${room.code}` }]);
+    }
+    keyboard.inline_keyboard.push([
+        { text: '🏢 Building Guide', callback_data: 'buildings' },
+        { text: '🏠 Back to Start', callback_data: 'start' }
+    ]);
+    const sent = await bot.sendMessage(chatId, htuAssistant.formatRoomInfo(room), Object.assign({ parse_mode: 'Markdown', reply_markup: keyboard }, options));
+    if (session) rememberResults(sent, session);
+}
+
+// Building guide buttons: one per legend building, two per row
+function buildBuildingsKeyboard() {
+    const keyboard = { inline_keyboard: [] };
+    const legend = htuAssistant.nameSystem.legend || {};
+    const buttons = Object.entries(legend).map(([code, info]) => ({ text: `🏢 ${code} · ${info.name}`, callback_data: `building_${code}` }));
+    for (let i = 0; i < buttons.length; i += 2) keyboard.inline_keyboard.push(buttons.slice(i, i + 2));
+    keyboard.inline_keyboard.push([{ text: '🏠 Back to Start', callback_data: 'start' }]);
+    return keyboard;
+}
+
+// Floor-by-floor directory for one building, with a button per office
+function buildBuildingDirectory(code) {
+    const keyboard = { inline_keyboard: [] };
+    const rooms = htuAssistant.getBuildingDirectory(code).reduce((all, floor) => all.concat(floor.rooms), []);
+    for (let i = 0; i < rooms.length; i += 4) {
+        keyboard.inline_keyboard.push(rooms.slice(i, i + 4).map(room => ({ text: `🚪 ${room.code}`, callback_data: `room_${room.code}` })));
+    }
+    keyboard.inline_keyboard.push([
+        { text: '⬅️ All Buildings', callback_data: 'buildings' },
+        { text: '🏠 Back to Start', callback_data: 'start' }
+    ]);
+    return { text: htuAssistant.formatBuildingDirectory(code), keyboard };
+}
+
+// Helper: action buttons shown under a single doctor card
+function buildDoctorActionRow(doctor, chatId) {
+    const key = htuAssistant.getDoctorKey(doctor);
+    const row = [
+        { text: '⏰ Remind me', callback_data: `rem_${key}` },
+        { text: isFollowing(chatId, key) ? '⭐ Following' : '☆ Follow', callback_data: `follow_${key}` }
+    ];
+    const room = htuAssistant.getMappableRoom(doctor.office);
+    if (room) row.push({ text: '🗺️ Show on map', callback_data: `map_${room.code}` });
+    const slug = htuAssistant.getDoctorSlug(doctor);
+    if (slug) row.push({ text: '🔗 Share', callback_data: `share_doctor_${slug}` });
+    return row;
+}
+
+// Deep link that opens a doctor or club card: https://t.me/<bot>?start=doctor_<slug>
+function buildStartLink(kind, slug) {
+    if (!botIdentity.username || !slug) return null;
+    return `https://t.me/${botIdentity.username}?start=${kind}_${slug}`;
+}
+
+// Club cards get a row with just the Share button
+function buildClubShareRow(club) {
+    const slug = htuAssistant.getClubSlug(club);
+    return slug ? [{ text: '🔗 Share', callback_data: `share_club_${slug}` }] : [];
+}
+
+// Card for a deep-link payload, with the same buttons as a search result
+async function sendLinkedCard(chatId, { kind, record }, options = {}) {
+    if (kind === 'doctor') {
+        await bot.sendMessage(chatId, htuAssistant.formatDoctorInfo(record), Object.assign({
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: [buildDoctorActionRow(record, chatId), [{ text: '🏠 Back to Start', callback_data: 'start' }]] }
+        }, options));
+    } else {
+        await bot.sendMessage(chatId, htuAssistant.formatClubInfo(record), Object.assign({
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: [buildClubShareRow(record), [{ text: '🎯 Browse All Clubs', callback_data: 'clubs' }, { text: '🏠 Back to Start', callback_data: 'start' }]] }
+        }, options));
+    }
+}
+
+// Send the generated SVG floor map for a room as a document
+async function sendRoomMap(chatId, code, options = {}) {
+    const map = htuAssistant.getRoomMap(code);
+    if (!map) {
+        await bot.sendMessage(chatId, `😔 I don't have a floor map for ${code} yet.`, options);
+        return;
+    }
+    await bot.sendDocument(chatId, Buffer.from(map.svg, 'utf8'), Object.assign({ caption: map.caption }, options), {
+        filename: map.filename,
+        contentType: 'image/svg+xml'
+    });
+}
+
+ensureDirForFile(config.FOLLOWS_PATH);
+loadFollows();
+loadGroupSettings();
+
+ensureDirForFile(config.REMINDERS_PATH);
+loadReminders();
+
 // Ensure a prefs file exists on disk to simplify admin export and first-run behavior
 try {
     if (!fs.existsSync(config.USER_PREFS_PATH)) {
@@ -153,11 +607,22 @@ process.on('uncaughtException', (error) => {
 });
 
 // Handle /start command
-bot.onText(/\/start/, async (msg) => {
+onCommand(/\/start/, async (msg) => {
     const chatId = msg.chat.id;
     const user = msg.from;
     
     console.log(`👋 New user started bot: ${user.first_name} (${user.id})`);
+
+    // Deep links (t.me/<bot>?start=doctor_<slug>) arrive as "/start doctor_<slug>"
+    const payload = (msg.text.match(/^\/start\s+(\S+)/) || [])[1];
+    if (payload) {
+        const linked = htuAssistant.resolveStartPayload(payload);
+        if (linked) {
+            await sendLinkedCard(chatId, linked, replyOptions(msg));
+            return;
+        }
+        await bot.sendMessage(chatId, '😔 That link doesn\'t match anyone in the directory anymore. Try searching by name instead.', replyOptions(msg));
+    }
     
     const welcomeMessage = `👋 Hi ${user.first_name} — welcome to Athar Bot!
 
@@ -185,63 +650,65 @@ How to start:
     };
     
     try {
-        const s = ensureSession(chatId);
-        const markup = s.beginner ? buildWelcomeInline(chatId) : keyboard;
-        await bot.sendMessage(chatId, welcomeMessage, {
+        const sessionId = sessionKey(msg.chat, user.id);
+        const s = ensureSession(sessionId);
+        const markup = s.beginner ? buildWelcomeInline(sessionId) : keyboard;
+        await bot.sendMessage(chatId, welcomeMessage, replyOptions(msg, {
             parse_mode: 'Markdown',
             disable_web_page_preview: true,
             reply_markup: markup
-        });
+        }));
     } catch (error) {
         console.error('Error sending welcome message:', error);
-        await bot.sendMessage(chatId, '🎉 Welcome to Athar Bot! Type a name or department to search.');
+        await bot.sendMessage(chatId, '🎉 Welcome to Athar Bot! Type a name or department to search.', replyOptions(msg));
     }
 });
 
 // Toggle beginner mode command
-bot.onText(/\/beginner/, async (msg) => {
+onCommand(/\/beginner/, async (msg) => {
     const chatId = msg.chat.id;
-    const s = ensureSession(chatId);
+    const sessionId = sessionKey(msg.chat, msg.from.id);
+    const s = ensureSession(sessionId);
     s.beginner = !s.beginner;
-    userSessions.set(chatId, s);
+    userSessions.set(sessionId, s);
     const reply = s.beginner ? '✅ Beginner Mode activated — big buttons and simple messages!' : '🔁 Beginner Mode turned off. Back to normal.';
     saveUserPrefs();
-    await bot.sendMessage(chatId, reply, { reply_markup: buildWelcomeInline(chatId) });
+    await bot.sendMessage(chatId, reply, replyOptions(msg, { reply_markup: buildWelcomeInline(sessionId) }));
 });
 
 // Show and toggle user prefs
-bot.onText(/\/prefs/, async (msg) => {
+onCommand(/\/prefs/, async (msg) => {
     const chatId = msg.chat.id;
-    const s = ensureSession(chatId);
+    const s = ensureSession(sessionKey(msg.chat, msg.from.id));
     const text = `🔧 Your Preferences:\n\nBeginner mode: ${s.beginner ? 'On' : 'Off'}`;
     const kb = { inline_keyboard: [[{ text: s.beginner ? 'Turn off Beginner' : 'Turn on Beginner', callback_data: 'beginner_toggle' }]] };
-    await bot.sendMessage(chatId, text, { reply_markup: kb });
+    await bot.sendMessage(chatId, text, replyOptions(msg, { reply_markup: kb }));
 });
 
 // Admin export of prefs (sends file contents to admin chat)
-bot.onText(/\/export_prefs/, async (msg) => {
+onCommand(/\/export_prefs/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     if (!config.ADMIN_IDS || !config.ADMIN_IDS.includes(userId)) {
-        await bot.sendMessage(chatId, '❌ You are not authorized to run this command.');
+        await bot.sendMessage(chatId, '❌ You are not authorized to run this command.', replyOptions(msg));
         return;
     }
     try {
         if (!fs.existsSync(config.USER_PREFS_PATH)) {
-            await bot.sendMessage(chatId, 'No prefs file found.');
+            await bot.sendMessage(chatId, 'No prefs file found.', replyOptions(msg));
             return;
         }
         await bot.sendDocument(chatId, config.USER_PREFS_PATH, {}, { caption: 'User prefs export' });
     } catch (e) {
         console.error('Error exporting prefs', e);
-        await bot.sendMessage(chatId, `⚠️ Failed to export prefs: ${String(e)}`);
+        await bot.sendMessage(chatId, `⚠️ Failed to export prefs: ${String(e)}`, replyOptions(msg));
     }
 });
 
 // Handle /help command
-bot.onText(/\/help/, async (msg) => {
+onCommand(/\/help/, async (msg) => {
     const chatId = msg.chat.id;
-    const s = ensureSession(chatId);
+    const s = ensureSession(sessionKey(msg.chat, msg.from.id));
     if (s.beginner) {
         const simple = `👋 Hi! Quick guide:
 
@@ -251,7 +718,7 @@ bot.onText(/\/help/, async (msg) => {
 
 Try typing a name now!`;
         const kb = { inline_keyboard: [[{ text: '� Start Search', callback_data: 'start' }], [{ text: '🏢 Departments', callback_data: 'departments' }, { text: '🎯 Clubs', callback_data: 'clubs' }]] };
-        await bot.sendMessage(chatId, simple, { parse_mode: 'Markdown', reply_markup: kb });
+        await bot.sendMessage(chatId, simple, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: kb }));
         return;
     }
 
@@ -260,8 +727,9 @@ Try typing a name now!`;
 • Type a name to find a person (e.g. "Mohammad").
 • Type a room number to find an office (e.g. "S-321").
 • Tap 'Departments' or 'Clubs' to browse lists.
+• Narrow a search with filters (e.g. \`dept:cyber day:monday\`).
 
-Commands: /start /help /beginner /prefs`;
+Commands: /start /help /beginner /prefs /now`;
 
     const keyboard = {
         inline_keyboard: [
@@ -270,14 +738,14 @@ Commands: /start /help /beginner /prefs`;
         ]
     };
 
-    await bot.sendMessage(chatId, helpMessage, { 
+    await bot.sendMessage(chatId, helpMessage, replyOptions(msg, { 
         parse_mode: 'Markdown',
         reply_markup: keyboard
-    });
+    }));
 });
 
 // Handle /fun command
-bot.onText(/\/fun/, async (msg) => {
+onCommand(/\/fun/, async (msg) => {
     const chatId = msg.chat.id;
     const menu = `✨ **Fun Zone**
 
@@ -298,12 +766,13 @@ Pick something fun to try:`;
             ]
         ]
     };
-    await bot.sendMessage(chatId, menu, { parse_mode: 'Markdown', reply_markup: keyboard });
+    await bot.sendMessage(chatId, menu, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: keyboard }));
 });
 
 // Handle callback queries (inline keyboard buttons)
 bot.on('callback_query', async (callbackQuery) => {
     const chatId = callbackQuery.message.chat.id;
+    const sessionId = sessionKey(callbackQuery.message.chat, callbackQuery.from.id);
     const data = callbackQuery.data;
     const messageId = callbackQuery.message.message_id;
     
@@ -371,10 +840,10 @@ Type it now, or tap a suggestion:`;
             case 'fun_quiz': {
                 const quiz = htuAssistant.generateQuizQuestion();
                 // Store quiz in session for this chat
-                const session = userSessions.get(chatId) || {};
+                const session = userSessions.get(sessionId) || {};
                 session.quiz = quiz;
                 session.timestamp = Date.now();
-                userSessions.set(chatId, session);
+                userSessions.set(sessionId, session);
 
                 const keyboard = { inline_keyboard: quiz.options.map((opt, idx) => ([{ text: opt, callback_data: `fun_quiz_answer_${idx}` }]))
                     .concat([[{ text: '✨ Fun Menu', callback_data: 'fun_menu' }]]) };
@@ -427,11 +896,11 @@ Type it now, or tap a suggestion:`;
             // Random features removed by configuration - no-op for these callbacks
                 
             case 'beginner_toggle': {
-                const s = ensureSession(chatId);
+                const s = ensureSession(sessionId);
                 s.beginner = !s.beginner;
-                userSessions.set(chatId, s);
+                userSessions.set(sessionId, s);
                 const text = s.beginner ? '✅ Beginner Mode activated — simplified UI.' : '🔁 Beginner Mode deactivated.';
-                await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, reply_markup: buildWelcomeInline(chatId) });
+                await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, reply_markup: buildWelcomeInline(sessionId) });
                 break;
             }
             case 'departments':
@@ -486,6 +955,29 @@ Type it now, or tap a suggestion:`;
                 });
                 break;
                 
+            case 'reminders': {
+                const { text, keyboard } = formatReminderList(chatId);
+                await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboard });
+                break;
+            }
+
+            case 'following': {
+                const { text, keyboard } = formatFollowingList(chatId);
+                await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboard });
+                break;
+            }
+
+            case 'now': {
+                const { text, keyboard } = buildAvailableNow();
+                await bot.editMessageText(text, {
+                    chat_id: chatId,
+                    message_id: messageId,
+                    parse_mode: 'Markdown',
+                    reply_markup: keyboard
+                });
+                break;
+            }
+
             case 'buildings':
                 const buildingGuide = htuAssistant.getBuildingGuide();
                 
@@ -493,11 +985,7 @@ Type it now, or tap a suggestion:`;
                     chat_id: chatId,
                     message_id: messageId,
                     parse_mode: 'Markdown',
-                    reply_markup: {
-                        inline_keyboard: [[
-                            { text: '🏠 Back to Start', callback_data: 'start' }
-                        ]]
-                    }
+                    reply_markup: buildBuildingsKeyboard()
                 });
                 break;
                 
@@ -548,6 +1036,8 @@ Ask me questions in normal language and I'll understand!
 • "How can I contact the admission office?"
 • "Who is the registrar?"
 • "What is Razan's email?"
+• "Who is free Tuesday at 11?"
+• "Cyber Security doctors available Wednesday after 1 PM"
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
@@ -555,6 +1045,7 @@ Ask me questions in normal language and I'll understand!
 👨‍⚕️ **Find Doctors:** "Mohammad", "Computer Science", "S-321"
 🎯 **Find Clubs:** "Entrepreneurship", "Volunteer team", "programming"
 🏢 **Find Locations:** "S-321", "N-402", "Engineering Building"
+🔎 **Filter:** \`dept:cyber day:monday building:S\`, \`office:S-3* malek\`, \`type:"Volunteer team"\`
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
@@ -563,6 +1054,14 @@ Ask me questions in normal language and I'll understand!
 /help - This helpful guide
 /clubs - Browse all clubs and teams
 /buildings - Campus building guide
+/now - Who is holding office hours right now
+/common - Shared office hours for two or more doctors
+/reminders - Your office-hours reminders
+/following - Doctors you follow for updates
+/room S-321 - Where a room is and who sits there
+/route S-321 to IJC-04 - Walking directions
+/find S-321 - Search from a group chat
+/groupsettings - What I answer in a group (group admins)
 /history - View your recent searches
 /stats - Bot statistics and info
 
@@ -650,8 +1149,7 @@ You haven't searched for anything yet!
                     // Create inline keyboard with recent searches (use short ids)
                     const keyboard = { inline_keyboard: [] };
                     recentSearches.slice(0, 5).forEach((search, index) => {
-                        const id = `r${++repeatCounter}`;
-                        repeatSearchMap.set(id, search.query);
+                        const id = repeatSearchId(search.query);
                         keyboard.inline_keyboard.push([{
                             text: `🔍 "${search.query}"`,
                             callback_data: `repeat_searchid_${id}`
@@ -692,13 +1190,14 @@ I'm your HTU assistant. Ask me anything or search directly!
                     inline_keyboard: [
                         [
                             { text: '🏢 All Departments', callback_data: 'departments' },
-                            { text: '🎯 All Clubs', callback_data: 'clubs' }
+                            { text: '🟢 Available Now', callback_data: 'now' }
                         ],
                         [
-                            { text: '🏫 Building Guide', callback_data: 'buildings' },
-                            { text: '📊 Statistics', callback_data: 'stats' }
+                            { text: '🎯 All Clubs', callback_data: 'clubs' },
+                            { text: '🏫 Building Guide', callback_data: 'buildings' }
                         ],
                         [
+                            { text: '📊 Statistics', callback_data: 'stats' },
                             { text: '❓ Help', callback_data: 'help' }
                         ]
                     ]
@@ -716,9 +1215,9 @@ I'm your HTU assistant. Ask me anything or search directly!
             default:
                 // Handle doctor and club detail buttons
                 if (data.startsWith('doctor_') || data.startsWith('club_')) {
-                    const session = userSessions.get(chatId);
-                    if (!session || Date.now() - session.timestamp > 300000) { // 5 minutes timeout
-                        await bot.sendMessage(chatId, 'Session expired. Please search again!');
+                    const session = resultsSession(callbackQuery.message, callbackQuery.from.id);
+                    if (!session || !session.results || Date.now() - session.timestamp > 300000) { // 5 minutes timeout
+                        await bot.sendMessage(chatId, 'Session expired. Please search again!', replyOptions(callbackQuery.message));
                         return;
                     }
                     
@@ -727,32 +1226,34 @@ I'm your HTU assistant. Ask me anything or search directly!
                         const doctor = session.results[index];
                         if (doctor) {
                             const doctorMessage = htuAssistant.formatDoctorInfo(doctor);
-                            await bot.sendMessage(chatId, doctorMessage, {
+                            await bot.sendMessage(chatId, doctorMessage, replyOptions(callbackQuery.message, {
                                 parse_mode: 'Markdown',
                                 disable_web_page_preview: true,
                                 reply_markup: {
                                     inline_keyboard: [
+                                        buildDoctorActionRow(doctor, chatId),
                                         [ { text: '🔍 Search Again', callback_data: 'start' } ],
                                         [ { text: '� Back to Start', callback_data: 'start' } ]
                                     ]
                                 }
-                            });
+                            }));
                         }
                     } else if (data.startsWith('club_')) {
                         const index = parseInt(data.split('_')[1]);
                         const club = session.clubs[index];
                         if (club) {
                             const clubMessage = htuAssistant.formatClubInfo(club);
-                            await bot.sendMessage(chatId, clubMessage, {
+                            await bot.sendMessage(chatId, clubMessage, replyOptions(callbackQuery.message, {
                                 parse_mode: 'Markdown',
                                 disable_web_page_preview: true,
                                 reply_markup: {
                                     inline_keyboard: [
+                                        buildClubShareRow(club),
                                         [ { text: '🔍 Search Again', callback_data: 'start' } ],
                                         [ { text: '� Back to Start', callback_data: 'start' } ]
                                     ]
                                 }
-                            });
+                            }));
                         }
                     }
                 }
@@ -766,7 +1267,7 @@ I'm your HTU assistant. Ask me anything or search directly!
                         // Show contact info for a person
                         const nlpResult = htuAssistant.processNaturalLanguageQuery(`contact info of ${entityName}`);
                         if (nlpResult && nlpResult.hasResults) {
-                            await bot.sendMessage(chatId, nlpResult.response, {
+                            await bot.sendMessage(chatId, nlpResult.response, replyOptions(callbackQuery.message, {
                                 parse_mode: 'Markdown',
                                 disable_web_page_preview: true,
                                 reply_markup: {
@@ -776,15 +1277,15 @@ I'm your HTU assistant. Ask me anything or search directly!
                                         [ { text: '🔍 Search Again', callback_data: 'start' } ]
                                     ]
                                 }
-                            });
+                            }));
                         } else {
-                            await bot.sendMessage(chatId, `😔 I couldn't find contact information for "${entityName}".`);
+                            await bot.sendMessage(chatId, `😔 I couldn't find contact information for "${entityName}".`, replyOptions(callbackQuery.message));
                         }
                     } else if (action === 'hours') {
                         // Show office hours for a person
                         const nlpResult = htuAssistant.processNaturalLanguageQuery(`office hours of ${entityName}`);
                         if (nlpResult && nlpResult.hasResults) {
-                            await bot.sendMessage(chatId, nlpResult.response, {
+                            await bot.sendMessage(chatId, nlpResult.response, replyOptions(callbackQuery.message, {
                                 parse_mode: 'Markdown',
                                 disable_web_page_preview: true,
                                 reply_markup: {
@@ -794,15 +1295,15 @@ I'm your HTU assistant. Ask me anything or search directly!
                                         [ { text: '🔍 Search Again', callback_data: 'start' } ]
                                     ]
                                 }
-                            });
+                            }));
                         } else {
-                            await bot.sendMessage(chatId, `😔 I couldn't find office hours for "${entityName}".`);
+                            await bot.sendMessage(chatId, `😔 I couldn't find office hours for "${entityName}".`, replyOptions(callbackQuery.message));
                         }
                     } else if (action === 'office') {
                         // Show office location for a person
                         const nlpResult = htuAssistant.processNaturalLanguageQuery(`office location of ${entityName}`);
                         if (nlpResult && nlpResult.hasResults) {
-                            await bot.sendMessage(chatId, nlpResult.response, {
+                            await bot.sendMessage(chatId, nlpResult.response, replyOptions(callbackQuery.message, {
                                 parse_mode: 'Markdown',
                                 disable_web_page_preview: true,
                                 reply_markup: {
@@ -812,16 +1313,16 @@ I'm your HTU assistant. Ask me anything or search directly!
                                         [ { text: '🔍 Search Again', callback_data: 'start' } ]
                                     ]
                                 }
-                            });
+                            }));
                         } else {
-                            await bot.sendMessage(chatId, `😔 I couldn't find office location for "${entityName}".`);
+                            await bot.sendMessage(chatId, `😔 I couldn't find office location for "${entityName}".`, replyOptions(callbackQuery.message));
                         }
                     } else if (action === 'club' && parts[2] === 'contact') {
                         // Show contact info for a club
                         const clubName = decodeURIComponent(parts.slice(3).join('_'));
                         const nlpResult = htuAssistant.processNaturalLanguageQuery(`contact info of ${clubName}`);
                         if (nlpResult && nlpResult.hasResults) {
-                            await bot.sendMessage(chatId, nlpResult.response, {
+                            await bot.sendMessage(chatId, nlpResult.response, replyOptions(callbackQuery.message, {
                                 parse_mode: 'Markdown',
                                 disable_web_page_preview: true,
                                 reply_markup: {
@@ -830,12 +1331,218 @@ I'm your HTU assistant. Ask me anything or search directly!
                                         [ { text: '🔍 Search Again', callback_data: 'start' } ]
                                     ]
                                 }
-                            });
+                            }));
                         } else {
-                            await bot.sendMessage(chatId, `😔 I couldn't find contact information for "${clubName}".`);
+                            await bot.sendMessage(chatId, `😔 I couldn't find contact information for "${clubName}".`, replyOptions(callbackQuery.message));
                         }
                     }
                 }
+                // Building directory and room cards from the building guide
+                else if (data.startsWith('building_')) {
+                    const { text, keyboard } = buildBuildingDirectory(data.slice('building_'.length));
+                    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboard });
+                }
+                else if (data.startsWith('map_')) {
+                    await sendRoomMap(chatId, data.slice('map_'.length), replyOptions(callbackQuery.message));
+                }
+                else if (data.startsWith('room_')) {
+                    const room = htuAssistant.parseRoomQuery(data.slice('room_'.length));
+                    if (room) await sendRoomInfo(chatId, sessionId, room, replyOptions(callbackQuery.message));
+                }
+                // Follow / unfollow a doctor from a card or the /following list
+                else if (data.startsWith('follow_') || data.startsWith('unfollow_')) {
+                    const unfollow = data.startsWith('unfollow_');
+                    const key = data.replace(/^(un)?follow_/, '');
+                    const doctor = htuAssistant.findDoctorByKey(key);
+                    if (!doctor && !unfollow) {
+                        await bot.sendMessage(chatId, '😔 That doctor is no longer in the directory.', replyOptions(callbackQuery.message));
+                        return;
+                    }
+                    if (unfollow) {
+                        if (isFollowing(chatId, key)) toggleFollow(chatId, key);
+                        const { text, keyboard } = formatFollowingList(chatId);
+                        await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboard });
+                        return;
+                    }
+                    const nowFollowing = toggleFollow(chatId, key);
+                    try {
+                        await bot.answerCallbackQuery(callbackQuery.id, {
+                            text: nowFollowing ? `⭐ Following ${doctor.name}` : `Unfollowed ${doctor.name}`
+                        });
+                    } catch (e) { /* callback already answered */ }
+                    // Refresh the card's buttons so the Follow label reflects the new state
+                    const markup = callbackQuery.message.reply_markup;
+                    if (markup && Array.isArray(markup.inline_keyboard)) {
+                        const rows = markup.inline_keyboard.map(row => row.map(btn => (
+                            btn.callback_data === data ? { text: nowFollowing ? '⭐ Following' : '☆ Follow', callback_data: data } : btn
+                        )));
+                        await bot.editMessageReplyMarkup({ inline_keyboard: rows }, { chat_id: chatId, message_id: messageId });
+                    }
+                }
+                // Office-hours reminders: pick lead time, then once/weekly, or cancel
+                else if (data.startsWith('rem')) {
+                    let match;
+                    if ((match = data.match(/^remcancel_(.+)$/))) {
+                        const own = reminders.find(r => r.id === match[1] && r.chatId === chatId);
+                        if (own) cancelReminder(own.id);
+                        const { text, keyboard } = formatReminderList(chatId);
+                        await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboard });
+                    } else if ((match = data.match(/^remset_(\d+)_([ow])_(.+)$/))) {
+                        const doctor = htuAssistant.findDoctorByKey(match[3]);
+                        const lead = Number(match[1]);
+                        if (!doctor || !REMINDER_LEADS.includes(lead)) {
+                            await bot.sendMessage(chatId, '😔 That doctor is no longer in the directory.', replyOptions(callbackQuery.message));
+                            return;
+                        }
+                        const res = addReminder(chatId, callbackQuery.from.id, doctor, lead, match[2] === 'w' ? 'weekly' : 'once');
+                        let text;
+                        if (res.error === 'no_slot') text = `😔 ${doctor.name} has no upcoming office hours to remind you about.`;
+                        else if (res.error === 'limit') text = `⚠️ You already have ${MAX_REMINDERS_PER_CHAT} reminders. Cancel some with /reminders first.`;
+                        else {
+                            const r = res.reminder;
+                            text = `${res.duplicate ? 'ℹ️ You already have this reminder' : '✅ Reminder set'}: **${doctor.name}**\n`;
+                            text += `📅 ${r.day} ${formatMinutes(r.start)} — ${r.lead} min before (${r.repeat === 'weekly' ? 'every week' : 'once'})\n\n`;
+                            text += `Manage your reminders with /reminders.`;
+                        }
+                        await bot.editMessageText(text, {
+                            chat_id: chatId,
+                            message_id: messageId,
+                            parse_mode: 'Markdown',
+                            reply_markup: { inline_keyboard: [[{ text: '⏰ My Reminders', callback_data: 'reminders' }, { text: '🏠 Back to Start', callback_data: 'start' }]] }
+                        });
+                    } else if ((match = data.match(/^remlead_(\d+)_(.+)$/))) {
+                        const doctor = htuAssistant.findDoctorByKey(match[2]);
+                        if (!doctor) return;
+                        await bot.editMessageText(`⏰ Remind me **${match[1]} min** before ${doctor.name}'s office hours:`, {
+                            chat_id: chatId,
+                            message_id: messageId,
+                            parse_mode: 'Markdown',
+                            reply_markup: { inline_keyboard: [[
+                                { text: '1️⃣ Next slot only', callback_data: `remset_${match[1]}_o_${match[2]}` },
+                                { text: '🔁 Every week', callback_data: `remset_${match[1]}_w_${match[2]}` }
+                            ]] }
+                        });
+                    } else if ((match = data.match(/^rem_(.+)$/))) {
+                        const doctor = htuAssistant.findDoctorByKey(match[1]);
+                        if (!doctor) {
+                            await bot.sendMessage(chatId, '😔 That doctor is no longer in the directory.', replyOptions(callbackQuery.message));
+                            return;
+                        }
+                        await bot.sendMessage(chatId, `⏰ When should I remind you about **${doctor.name}**'s next office hours?`, replyOptions(callbackQuery.message, {
+                            parse_mode: 'Markdown',
+                            reply_markup: { inline_keyboard: [REMINDER_LEADS.map(lead => ({ text: `${lead} min before`, callback_data: `remlead_${lead}_${match[1]}` }))] }
+                        }));
+                    }
+                }
+                // Common free-time finder over doctors from the last search
+                else if (data.startsWith('common_')) {
+                    const session = resultsSession(callbackQuery.message, callbackQuery.from.id);
+                    if (!session || !session.results || Date.now() - session.timestamp > 300000) { // 5 minutes timeout
+                        await bot.sendMessage(chatId, 'Session expired. Please search again!', replyOptions(callbackQuery.message));
+                        return;
+                    }
+                    // Picks only count while they still point at a doctor in these results
+                    session.commonPicks = (session.commonPicks || []).filter(i => session.results[i]);
+
+                    if (data.startsWith('common_toggle_')) {
+                        const index = parseInt(data.replace('common_toggle_', ''));
+                        if (session.results[index]) {
+                            session.commonPicks = session.commonPicks.includes(index)
+                                ? session.commonPicks.filter(i => i !== index)
+                                : session.commonPicks.concat(index);
+                        }
+                    }
+
+                    if (data === 'common_go') {
+                        if (session.commonPicks.length < 2) {
+                            await bot.answerCallbackQuery(callbackQuery.id, { text: 'Pick at least two doctors first.' });
+                            return;
+                        }
+                        const picked = session.commonPicks.map(i => session.results[i]);
+                        const sent = await bot.sendMessage(chatId, htuAssistant.formatCommonFreeTime(picked), replyOptions(callbackQuery.message, {
+                            parse_mode: 'Markdown',
+                            reply_markup: {
+                                inline_keyboard: [
+                                    [ { text: '🔁 Change selection', callback_data: 'common_pick' } ],
+                                    [ { text: '🏠 Back to Start', callback_data: 'start' } ]
+                                ]
+                            }
+                        }));
+                        rememberResults(sent, session);
+                        return;
+                    }
+
+                    await bot.editMessageText('🤝 **Pick two or more doctors** to find office hours you can attend with all of them:', {
+                        chat_id: chatId,
+                        message_id: messageId,
+                        parse_mode: 'Markdown',
+                        reply_markup: buildCommonPickKeyboard(session)
+                    });
+                }
+                // Share: send the card's deep link, ready to copy or forward
+                else if (data.startsWith('share_')) {
+                    const [, kind, slug] = data.match(/^share_(doctor|club)_(.+)$/) || [];
+                    const linked = kind ? htuAssistant.resolveStartPayload(`${kind}_${slug}`) : null;
+                    const link = linked ? buildStartLink(kind, slug) : null;
+                    if (!link) {
+                        await bot.sendMessage(chatId, '😔 I can\'t make a link for that card right now.', replyOptions(callbackQuery.message));
+                        return;
+                    }
+                    const name = kind === 'doctor' ? linked.record.name : linked.record['Name of it '];
+                    const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(name)}`;
+                    // Plain text: the underscore in the link would break Markdown
+                    await bot.sendMessage(chatId, `🔗 Link to ${name}'s card:\n\n${link}\n\nAnyone who opens it gets this card from the bot — use it in a bio, a post or on an office door sign.`, replyOptions(callbackQuery.message, {
+                        disable_web_page_preview: true,
+                        reply_markup: { inline_keyboard: [[{ text: '📤 Send to a chat', url: shareUrl }]] }
+                    }));
+                }
+                // Group settings toggles (group admins only)
+                else if (data.startsWith('gset_')) {
+                    const key = data.slice('gset_'.length);
+                    if (!(key in DEFAULT_GROUP_SETTINGS)) return;
+                    if (!(await isGroupAdmin(chatId, callbackQuery.from.id))) {
+                        try {
+                            await bot.answerCallbackQuery(callbackQuery.id, { text: '⛔ Only group admins can change these settings.', show_alert: true });
+                        } catch (e) { /* callback already answered */ }
+                        return;
+                    }
+                    const settings = getGroupSettings(chatId);
+                    groupSettings.set(chatId, Object.assign({}, settings, { [key]: !settings[key] }));
+                    saveGroupSettings();
+                    const { text, keyboard } = buildGroupSettingsKeyboard(chatId);
+                    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboard });
+                }
+                // Building filter for the "available now" list (from a shared location)
+                else if (data.startsWith('now_bld_')) {
+                    const { text, keyboard } = buildAvailableNow(undefined, data.slice('now_bld_'.length));
+                    await bot.editMessageText(text, {
+                        chat_id: chatId,
+                        message_id: messageId,
+                        parse_mode: 'Markdown',
+                        reply_markup: keyboard
+                    });
+                }
+                // Department filter for the "available now" list
+                else if (data.startsWith('now_dept_')) {
+                    const deptIndex = parseInt(data.replace('now_dept_', ''));
+                    const { text, keyboard } = buildAvailableNow(deptIndex);
+                    await bot.editMessageText(text, {
+                        chat_id: chatId,
+                        message_id: messageId,
+                        parse_mode: 'Markdown',
+                        reply_markup: keyboard
+                    });
+                }
+                // Search again from a history or "Did you mean" button
+                else if (data.startsWith('repeat_searchid_')) {
+                    const searchQuery = repeatSearchMap.get(data.slice('repeat_searchid_'.length));
+                    if (!searchQuery) {
+                        await bot.sendMessage(chatId, '⌛ That button has expired. Type your search again.', replyOptions(callbackQuery.message));
+                        return;
+                    }
+                    await handleSearch({ ...callbackQuery.message, from: callbackQuery.from, text: searchQuery }, searchQuery);
+                    return;
+                }
                 // Handle repeat search from history
                 else if (data.startsWith('repeat_search_')) {
                     const searchQuery = data.replace('repeat_search_', '');
@@ -868,14 +1575,14 @@ I'm your HTU assistant. Ask me anything or search directly!
                 // Quiz answer
                 else if (data.startsWith('fun_quiz_answer_')) {
                     const idx = parseInt(data.replace('fun_quiz_answer_', ''));
-                    const session = userSessions.get(chatId);
+                    const session = userSessions.get(sessionId);
                     if (!session || !session.quiz) {
                         await bot.answerCallbackQuery(callbackQuery.id, { text: 'Quiz expired. Starting a new one...' });
                         // Replace message with new quiz
                         const quiz = htuAssistant.generateQuizQuestion();
                         const keyboard = { inline_keyboard: quiz.options.map((opt, i) => ([{ text: opt, callback_data: `fun_quiz_answer_${i}` }]))
                             .concat([[{ text: '✨ Fun Menu', callback_data: 'fun_menu' }]]) };
-                        userSessions.set(chatId, { ...(session || {}), quiz, timestamp: Date.now() });
+                        userSessions.set(sessionId, { ...(session || {}), quiz, timestamp: Date.now() });
                         await bot.editMessageText(`🧠 ${quiz.question}`, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboard });
                         return;
                     }
@@ -890,9 +1597,9 @@ I'm your HTU assistant. Ask me anything or search directly!
                         ]] }
                     });
                     // Clear quiz to avoid stale answers
-                    const s = userSessions.get(chatId) || {};
+                    const s = userSessions.get(sessionId) || {};
                     delete s.quiz;
-                    userSessions.set(chatId, { ...s, timestamp: Date.now() });
+                    userSessions.set(sessionId, { ...s, timestamp: Date.now() });
                 }
                 break;
         }
@@ -914,13 +1621,13 @@ I'm your HTU assistant. Ask me anything or search directly!
         
         // If editing fails, send a new message
         try {
-            await bot.sendMessage(chatId, '😔 Something went wrong. Please try again!', {
+            await bot.sendMessage(chatId, '😔 Something went wrong. Please try again!', replyOptions(callbackQuery.message, {
                 reply_markup: {
                     inline_keyboard: [[
                         { text: '🏠 Back to Start', callback_data: 'start' }
                     ]]
                 }
-            });
+            }));
         } catch (sendError) {
             console.error('Error sending error message:', sendError);
         }
@@ -928,7 +1635,7 @@ I'm your HTU assistant. Ask me anything or search directly!
 });
 
 // Handle /departments command
-bot.onText(/\/departments/, async (msg) => {
+onCommand(/\/departments/, async (msg) => {
     const chatId = msg.chat.id;
     const departments = htuAssistant.getDepartments();
     
@@ -939,29 +1646,260 @@ bot.onText(/\/departments/, async (msg) => {
     
     message += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n💡 *Tip:* Type any department name to find doctors!`;
     
-    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    await bot.sendMessage(chatId, message, replyOptions(msg, { parse_mode: 'Markdown' }));
+});
+
+// Handle /reminders command: list and cancel office-hours reminders
+onCommand(/^\/reminders\b/, async (msg) => {
+    const chatId = msg.chat.id;
+    const { text, keyboard } = formatReminderList(chatId);
+    await bot.sendMessage(chatId, text, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: keyboard }));
+});
+
+// Handle /following command: doctors this chat follows for change alerts
+onCommand(/^\/following\b/, async (msg) => {
+    const chatId = msg.chat.id;
+    const { text, keyboard } = formatFollowingList(chatId);
+    await bot.sendMessage(chatId, text, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: keyboard }));
+});
+
+// Handle /common command: shared office hours for several doctors, e.g. "/common malek, alkhateeb"
+onCommand(/^\/common\b(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const names = match && match[1] ? match[1].split(/[,;\n]+/).map(n => n.trim()).filter(Boolean) : [];
+    if (names.length < 2) {
+        await bot.sendMessage(chatId, '🤝 Send two or more names separated by commas, e.g. `/common Malek, Alkhateeb`.\n\nOr search a department and tap "Find common free time".', replyOptions(msg, { parse_mode: 'Markdown' }));
+        return;
+    }
+
+    const doctors = [];
+    const missing = [];
+    names.forEach(name => {
+        const found = htuAssistant.search(name)[0];
+        if (!found) missing.push(name);
+        else if (!doctors.includes(found)) doctors.push(found);
+    });
+    if (missing.length > 0 || doctors.length < 2) {
+        const reason = missing.length > 0 ? `I couldn't find: ${missing.join(', ')}` : 'Those names point to the same doctor';
+        await bot.sendMessage(chatId, `😔 ${reason}. Please check the spelling and try again.`, replyOptions(msg));
+        return;
+    }
+
+    await bot.sendMessage(chatId, htuAssistant.formatCommonFreeTime(doctors), replyOptions(msg, { parse_mode: 'Markdown' }));
 });
 
+// Handle /now command: who is holding office hours right now (optional department filter)
+onCommand(/^\/now\b(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const filter = match && match[1] ? match[1].trim() : '';
+    const departments = htuAssistant.getDepartments();
+    const deptIndex = filter
+        ? departments.findIndex(d => d.toLowerCase().includes(filter.toLowerCase()))
+        : -1;
+
+    if (filter && deptIndex === -1) {
+        await bot.sendMessage(chatId, `😔 No department matches "${filter}". Use /departments to see the list.`, replyOptions(msg));
+        return;
+    }
+
+    const { text, keyboard } = buildAvailableNow(deptIndex === -1 ? undefined : deptIndex);
+    await bot.sendMessage(chatId, text, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: keyboard }));
+});
+
+// Data files captured in snapshots, keyed by their file name inside a snapshot
+function snapshotFiles() {
+    const paths = htuAssistant.getDataPaths();
+    return {
+        'doctors.json': paths.doctors || paths.doctorCandidates[0],
+        'htuClubs.json': paths.clubs,
+        'htuNameSystem.json': paths.nameSystem
+    };
+}
+
+// Signature of the data currently loaded, so the watcher can skip reloads
+// for writes that did not change anything (e.g. a rollback it already applied)
+let loadedSignature = null;
+
+function takeSnapshot(source) {
+    try {
+        const files = snapshotFiles();
+        loadedSignature = datasetSignature(files);
+        const meta = createSnapshot(config.SNAPSHOTS_DIR, files, {
+            source,
+            doctors: htuAssistant.doctors.length,
+            clubs: htuAssistant.clubs.length
+        }, config.SNAPSHOT_RETENTION);
+        if (meta) console.log(`📸 Saved data snapshot ${meta.id} (${source})`);
+    } catch (e) {
+        console.error('Error saving data snapshot:', e);
+    }
+}
+
+function formatSnapshotList() {
+    const snapshots = listSnapshots(config.SNAPSHOTS_DIR);
+    if (snapshots.length === 0) return '📸 No snapshots yet. One is saved after every successful reload.';
+    const formatter = new Intl.DateTimeFormat('en-GB', {
+        timeZone: config.TIMEZONE, dateStyle: 'medium', timeStyle: 'short'
+    });
+    let text = `📸 Data snapshots (newest first, keeping ${config.SNAPSHOT_RETENTION}):\n\n`;
+    snapshots.forEach((meta, index) => {
+        const current = meta.signature === loadedSignature ? ' ← current' : '';
+        text += `${index + 1}. ${meta.id} — ${meta.doctors} doctors, ${meta.clubs} clubs\n`;
+        text += `   ${formatter.format(new Date(meta.createdAt))} (${meta.source})${current}\n`;
+    });
+    text += '\nRestore one with /rollback <id>';
+    return text;
+}
+
+takeSnapshot('startup');
+
+// Validated reload shared by /reload and the file watcher: the report (diff or
+// rejection reason) goes to every admin, and followers hear about changed doctors.
+// `exceptChatId` skips the chat that already gets the report as a reply.
+async function runReload(source, exceptChatId) {
+    const res = htuAssistant.reload();
+    if (res.ok) takeSnapshot(source);
+    const report = htuAssistant.formatReloadReport(res, source);
+    for (const adminId of config.ADMIN_IDS || []) {
+        if (adminId === exceptChatId) continue;
+        try {
+            await sendLongMessage(adminId, report, { disable_web_page_preview: true });
+        } catch (e) {
+            console.error('Error sending reload report to admin', adminId, e.message || e);
+        }
+    }
+    if (res.ok) await notifyFollowers(res.doctorChanges);
+    return { res, report };
+}
+
 // Admin reload command to hot-reload data files without restarting the process
-bot.onText(/\/reload/, async (msg) => {
+onCommand(/\/reload/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     if (!config.ADMIN_IDS || !Array.isArray(config.ADMIN_IDS) || !config.ADMIN_IDS.includes(userId)) {
-        await bot.sendMessage(chatId, '❌ You are not authorized to run this command.');
+        await bot.sendMessage(chatId, '❌ You are not authorized to run this command.', replyOptions(msg));
         return;
     }
 
-    await bot.sendMessage(chatId, '🔁 Reloading data files...');
+    await bot.sendMessage(chatId, '🔁 Reloading data files...', replyOptions(msg));
     try {
-        const res = htuAssistant.reload();
-        if (res.ok) {
-            await bot.sendMessage(chatId, `✅ Reloaded: ${res.doctors} doctors, ${res.clubs} clubs`);
-        } else {
-            await bot.sendMessage(chatId, `⚠️ Reload failed: ${res.error}`);
-        }
+        const { report } = await runReload('manual', chatId);
+        await sendLongMessage(chatId, report, { disable_web_page_preview: true });
     } catch (e) {
         console.error('Reload command error:', e);
-        await bot.sendMessage(chatId, `⚠️ Reload failed: ${String(e)}`);
+        await bot.sendMessage(chatId, `⚠️ Reload failed: ${String(e)}`, replyOptions(msg));
+    }
+});
+
+// Admin list of saved data snapshots
+onCommand(/\/snapshots/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    if (!config.ADMIN_IDS || !Array.isArray(config.ADMIN_IDS) || !config.ADMIN_IDS.includes(userId)) {
+        await bot.sendMessage(chatId, '❌ You are not authorized to run this command.', replyOptions(msg));
+        return;
+    }
+
+    await sendLongMessage(chatId, formatSnapshotList());
+});
+
+// Admin rollback: restore a snapshot's files and reload them, putting the
+// previous files back if the reload rejects the snapshot
+onCommand(/\/rollback(?:\s+(\S+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    if (!config.ADMIN_IDS || !Array.isArray(config.ADMIN_IDS) || !config.ADMIN_IDS.includes(userId)) {
+        await bot.sendMessage(chatId, '❌ You are not authorized to run this command.', replyOptions(msg));
+        return;
+    }
+
+    const id = match && match[1];
+    if (!id) {
+        await bot.sendMessage(chatId, 'Usage: /rollback <id>\nSee /snapshots for the available ids.', replyOptions(msg));
+        return;
+    }
+
+    try {
+        const files = snapshotFiles();
+        const previous = readFiles(files);
+        const restored = restoreSnapshot(config.SNAPSHOTS_DIR, id, files);
+        await bot.sendMessage(chatId, `⏪ Restored ${restored.join(', ')} from snapshot ${id}. Reloading...`, replyOptions(msg));
+        const { res, report } = await runReload('rollback', chatId);
+        if (!res.ok) writeFiles(files, previous);
+        await sendLongMessage(chatId, res.ok ? report : `${report}\n\nThe previous data files were put back.`, { disable_web_page_preview: true });
+    } catch (e) {
+        console.error('Rollback command error:', e);
+        await bot.sendMessage(chatId, `⚠️ Rollback failed: ${e.message || String(e)}`, replyOptions(msg));
+    }
+});
+
+// Admin synonyms: /synonym add cs "Computer Science", /synonym remove cs, /synonym list
+onCommand(/^\/synonyms?\b/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    if (!config.ADMIN_IDS || !Array.isArray(config.ADMIN_IDS) || !config.ADMIN_IDS.includes(userId)) {
+        await bot.sendMessage(chatId, '❌ You are not authorized to run this command.', replyOptions(msg));
+        return;
+    }
+
+    const command = parseSynonymCommand(msg.text);
+    if (!command) {
+        await bot.sendMessage(chatId, 'Usage:\n/synonym add cs "Computer Science"\n/synonym remove cs\n/synonym list', replyOptions(msg));
+        return;
+    }
+
+    if (command.action === 'list') {
+        // Group the terms by what they expand to; * marks the ones added with /synonym
+        const entries = htuAssistant.listSynonyms();
+        const byExpansion = new Map();
+        entries.forEach(({ term, expansion, custom }) => {
+            if (!byExpansion.has(expansion)) byExpansion.set(expansion, []);
+            byExpansion.get(expansion).push(custom ? `${term}*` : term);
+        });
+        let text = `📖 Synonyms (${entries.length})\n\n`;
+        byExpansion.forEach((terms, expansion) => {
+            text += `${expansion} ← ${terms.join(', ')}\n`;
+        });
+        text += `\n* added with /synonym (stored in ${config.SYNONYMS_PATH}); the rest come from synonyms.json`;
+        await sendLongMessage(chatId, text);
+        return;
+    }
+
+    if (command.action === 'remove') {
+        if (!htuAssistant.removeSynonym(command.term)) {
+            await bot.sendMessage(chatId, `⚠️ "${command.term}" was not added with /synonym. Entries from synonyms.json are changed in that file.`, replyOptions(msg));
+            return;
+        }
+        saveJson(config.SYNONYMS_PATH, htuAssistant.customSynonyms);
+        await bot.sendMessage(chatId, `🗑️ Removed the synonym "${command.term}".`, replyOptions(msg));
+        return;
+    }
+
+    const added = htuAssistant.addSynonym(command.term, command.expansion);
+    if (!added.ok) {
+        await bot.sendMessage(chatId, `⚠️ ${added.error}`, replyOptions(msg));
+        return;
+    }
+    saveJson(config.SYNONYMS_PATH, htuAssistant.customSynonyms);
+    const found = htuAssistant.search(added.term).length + htuAssistant.searchClubs(added.term).length;
+    await bot.sendMessage(chatId, `✅ "${added.term}" now also searches for "${added.expansion}"${added.replaced ? ` (was "${added.replaced}")` : ''}. It finds ${found} result${found === 1 ? '' : 's'} right now.`, replyOptions(msg));
+});
+
+// Admin audit of office hours in doctors.json (reversed ranges, AM/PM typos, overlaps...)
+onCommand(/\/audit_hours/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    if (!config.ADMIN_IDS || !Array.isArray(config.ADMIN_IDS) || !config.ADMIN_IDS.includes(userId)) {
+        await bot.sendMessage(chatId, '❌ You are not authorized to run this command.', replyOptions(msg));
+        return;
+    }
+
+    try {
+        const issues = htuAssistant.validateDoctorData();
+        await sendLongMessage(chatId, htuAssistant.formatDoctorAudit(issues), { disable_web_page_preview: true });
+    } catch (e) {
+        console.error('Audit hours command error:', e);
+        await bot.sendMessage(chatId, `⚠️ Audit failed: ${String(e)}`, replyOptions(msg));
     }
 });
 
@@ -971,11 +1909,9 @@ bot.onText(/\/reload/, async (msg) => {
 try {
     const disableWatchers = process.env.DISABLE_FILE_WATCHERS === '1' || config.DISABLE_FILE_WATCHERS === true;
     if (!disableWatchers) {
-        const watchFiles = [
-            require('path').join(__dirname, 'doctors.json'),
-            require('path').join(__dirname, 'htuClubs.json'),
-            require('path').join(__dirname, 'htuNameSystem.json')
-        ];
+        // Watch the same files the assistant loads (doctors follows DOCTORS_DATA_PATH)
+        const dataPaths = htuAssistant.getDataPaths();
+        const watchFiles = [dataPaths.doctors, dataPaths.clubs, dataPaths.nameSystem].filter(Boolean);
 
         let reloadTimer = null;
         const watchers = [];
@@ -983,12 +1919,13 @@ try {
         const scheduleReload = () => {
             if (reloadTimer) clearTimeout(reloadTimer);
             reloadTimer = setTimeout(() => {
-                try {
-                    const res = htuAssistant.reload();
-                    console.log('Auto-reload result:', res);
-                } catch (e) {
-                    console.error('Auto-reload error:', e);
+                if (datasetSignature(snapshotFiles()) === loadedSignature) {
+                    console.log('Data files unchanged since last load; skipping auto-reload');
+                    return;
                 }
+                runReload('auto')
+                    .then(({ res }) => console.log('Auto-reload result:', { ok: res.ok, doctors: res.doctors, clubs: res.clubs, error: res.error }))
+                    .catch(e => console.error('Auto-reload error:', e));
             }, 1500);
         };
 
@@ -1036,7 +1973,7 @@ try {
 }
 
 // Handle /stats command
-bot.onText(/\/stats/, async (msg) => {
+onCommand(/\/stats/, async (msg) => {
     const chatId = msg.chat.id;
     const stats = htuAssistant.getStats();
     
@@ -1054,13 +1991,13 @@ bot.onText(/\/stats/, async (msg) => {
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
     
-    await bot.sendMessage(chatId, statsMessage, { parse_mode: 'Markdown' });
+    await bot.sendMessage(chatId, statsMessage, replyOptions(msg, { parse_mode: 'Markdown' }));
 });
 
 // /random command removed
 
 // Handle /clubs command
-bot.onText(/\/clubs/, async (msg) => {
+onCommand(/\/clubs/, async (msg) => {
     const chatId = msg.chat.id;
     const clubs = htuAssistant.clubs;
     
@@ -1082,21 +2019,129 @@ bot.onText(/\/clubs/, async (msg) => {
     
     message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n💡 *Tip:* Type any club name to get details!`;
     
-    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    await bot.sendMessage(chatId, message, replyOptions(msg, { parse_mode: 'Markdown' }));
 });
 
 // Handle /buildings command
-bot.onText(/\/buildings/, async (msg) => {
+// Handle /route command: walking directions between rooms, buildings or doctors.
+// "/route S-321 to IJC-04", "/route Malek Allouzi to Sama Hamza", "/route S-321 IJC-04"
+onCommand(/^\/route\b(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const text = match && match[1] ? match[1].trim() : '';
+    let parts = text.split(/\s+to\s+/i);
+    if (parts.length !== 2) parts = text.split(/\s+/);
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        await bot.sendMessage(chatId, 'Usage: /route <from> to <to>\nExamples:\n/route S-321 to IJC-04\n/route Malek Allouzi to Sama Hamza', replyOptions(msg));
+        return;
+    }
+
+    const route = htuAssistant.getRoute(parts[0], parts[1]);
+    if (route.error) {
+        await bot.sendMessage(chatId, `😔 ${route.error}`, replyOptions(msg));
+        return;
+    }
+    await bot.sendMessage(chatId, htuAssistant.formatRoute(route), replyOptions(msg, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: [[{ text: '🏢 Building Guide', callback_data: 'buildings' }, { text: '🏠 Back to Start', callback_data: 'start' }]] }
+    }));
+});
+
+// Inline mode ("@atharbot malek" from any chat): doctor and club cards as
+// articles that post a shareable contact card into that chat
+bot.on('inline_query', async (inlineQuery) => {
+    const query = (inlineQuery.query || '').trim();
+    const results = [];
+    if (query.length >= 2) {
+        htuAssistant.search(query).forEach((doctor, index) => {
+            const slug = htuAssistant.getDoctorSlug(doctor);
+            const link = buildStartLink('doctor', slug);
+            results.push({
+                type: 'article',
+                id: slug ? `doctor_${slug}` : `doctor_${index}`,
+                title: `👨‍🏫 ${doctor.name}`,
+                description: `${doctor.department || 'Unknown department'} · ${htuAssistant.formatOfficeCode(doctor.office)}`,
+                input_message_content: {
+                    message_text: htuAssistant.formatDoctorCard(doctor),
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true
+                },
+                ...(link ? { reply_markup: { inline_keyboard: [[{ text: '🤖 Open in Athar Bot', url: link }]] } } : {})
+            });
+        });
+        htuAssistant.searchClubs(query).forEach((club, index) => {
+            const slug = htuAssistant.getClubSlug(club);
+            const link = buildStartLink('club', slug);
+            results.push({
+                type: 'article',
+                id: slug ? `club_${slug}` : `club_${index}`,
+                title: `🎯 ${club['Name of it ']}`,
+                description: club['Club/ Volunteer team'],
+                input_message_content: {
+                    message_text: htuAssistant.formatClubInfo(club),
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true
+                },
+                ...(link ? { reply_markup: { inline_keyboard: [[{ text: '🤖 Open in Athar Bot', url: link }]] } } : {})
+            });
+        });
+    }
+
+    try {
+        await bot.answerInlineQuery(inlineQuery.id, results, { cache_time: 60 });
+    } catch (e) {
+        console.error('Inline query error:', e.message || e);
+    }
+});
+
+// Shared location pin: reply with the nearest building, its directory and
+// a shortcut to who is holding office hours there right now
+bot.on('location', async (msg) => {
+    const chatId = msg.chat.id;
+    // A pin carries no text to mention us in, so in groups it has to be a reply to the bot
+    if (isGroupChat(msg.chat) && !(getGroupSettings(chatId).replies && repliesToBot(msg, botIdentity))) return;
+    const { latitude, longitude } = msg.location || {};
+    const nearest = htuAssistant.findNearestBuilding(latitude, longitude);
+    if (!nearest) {
+        await bot.sendMessage(chatId, '😔 I don\'t have building locations yet. Try /buildings instead.', replyOptions(msg));
+        return;
+    }
+
+    const { text, keyboard } = buildBuildingDirectory(nearest.code);
+    let intro = `📍 **Nearest building:** ${nearest.info.name} (${nearest.code}), ${htuAssistant.formatDistance(nearest.distance)} away\n`;
+    if (nearest.distance > 1000) intro += `⚠️ You seem to be off campus, so this is just the closest one.\n`;
+    keyboard.inline_keyboard.unshift([{ text: `🟢 Available now in ${nearest.code}`, callback_data: `now_bld_${nearest.code}` }]);
+    await bot.sendMessage(chatId, `${intro}\n${text}`, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: keyboard }));
+});
+
+// Handle /room command: decode a room code and list who sits there
+onCommand(/^\/room\b(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const text = match && match[1] ? match[1].trim() : '';
+    if (!text) {
+        await bot.sendMessage(chatId, 'Usage: /room <code>\nExample: /room S-321 or /room W-B05', replyOptions(msg));
+        return;
+    }
+
+    const room = htuAssistant.parseRoomQuery(text);
+    if (!room) {
+        const parsed = htuAssistant.parseOffice(text);
+        await bot.sendMessage(chatId, `😔 I can't read "${text}" as a room code (${parsed.reason || 'unknown format'}).\n\nCodes look like S-321: building letter, floor digit, room number. See /buildings for the building letters.`, replyOptions(msg));
+        return;
+    }
+    await sendRoomInfo(chatId, sessionKey(msg.chat, msg.from.id), room, replyOptions(msg));
+});
+
+onCommand(/\/buildings/, async (msg) => {
     const chatId = msg.chat.id;
     const buildingGuide = htuAssistant.getBuildingGuide();
     
-    await bot.sendMessage(chatId, buildingGuide, { parse_mode: 'Markdown' });
+    await bot.sendMessage(chatId, buildingGuide, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: buildBuildingsKeyboard() }));
 });
 
 // /randomclub command removed
 
 // Handle /history command
-bot.onText(/\/history/, async (msg) => {
+onCommand(/\/history/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     
@@ -1117,7 +2162,7 @@ You haven't searched for anything yet!
 
 🚀 **Quick Actions:**`;
 
-        await bot.sendMessage(chatId, noHistoryMessage, {
+        await bot.sendMessage(chatId, noHistoryMessage, replyOptions(msg, {
             parse_mode: 'Markdown',
             reply_markup: {
                 inline_keyboard: [
@@ -1130,7 +2175,7 @@ You haven't searched for anything yet!
                     ]
                 ]
             }
-        });
+        }));
         return;
     }
     
@@ -1154,8 +2199,7 @@ You haven't searched for anything yet!
     // Create inline keyboard with recent searches (use short ids)
     const keyboard = { inline_keyboard: [] };
     recentSearches.slice(0, 5).forEach((search, index) => {
-        const id = `r${++repeatCounter}`;
-        repeatSearchMap.set(id, search.query);
+        const id = repeatSearchId(search.query);
         keyboard.inline_keyboard.push([{
             text: `🔍 "${search.query}"`,
             callback_data: `repeat_searchid_${id}`
@@ -1166,19 +2210,77 @@ You haven't searched for anything yet!
         { text: '🏠 Back to Start', callback_data: 'start' }
     ]);
     
-    await bot.sendMessage(chatId, historyMessage, {
+    await bot.sendMessage(chatId, historyMessage, replyOptions(msg, {
         parse_mode: 'Markdown',
         reply_markup: keyboard
-    });
+    }));
 });
 
-// Handle search queries (any text that's not a command)
-bot.onText(/^(?!\/).+/, async (msg) => {
+// Results of a field-scoped search: the active filters in the header, one
+// button per filter to search again without it, then doctors and clubs
+async function sendFilteredResults(msg, query, filtered) {
+    const chatId = msg.chat.id;
+    const parsed = parseFieldQuery(query);
+    // Backticks keep values like S-3* out of Markdown parsing
+    const label = filter => `${filter.field}:${filter.day || filter.code || filter.value}`.replace(/`/g, '');
+    const keyboard = { inline_keyboard: [] };
+
+    if (filtered.errors.length > 0) {
+        const usage = 'Filters: dept:, school:, day:, building:, office: (doctors) and type: (clubs). Quote values with spaces and use * as a wildcard, e.g. dept:cyber day:monday office:S-3*';
+        await bot.sendMessage(chatId, `⚠️ ${filtered.errors.join('\n⚠️ ')}\n\n${usage}`, replyOptions(msg));
+        return;
+    }
+
+    let text = `🔎 **Filtered search**\n`;
+    text += `Filters: ${filtered.filters.map(filter => `\`${label(filter)}\``).join(' · ')}\n`;
+    if (filtered.text) text += `Text: \`${filtered.text.replace(/`/g, '')}\`\n`;
+    text += '\n';
+
+    const { doctors, clubs, totalDoctors, totalClubs } = filtered;
+    if (totalDoctors + totalClubs === 0) {
+        text += '😔 Nothing matches all of these filters. Remove one below to widen the search.';
+    }
+    if (totalDoctors > 0) {
+        text += `👨‍⚕️ **Doctors (${totalDoctors > doctors.length ? `${doctors.length} of ${totalDoctors}` : totalDoctors}):**\n\n`;
+        doctors.forEach((doctor, index) => {
+            text += `${index + 1}. **${doctor.name}**\n`;
+            text += `   📚 ${doctor.department}\n`;
+            text += `   🏢 ${htuAssistant.formatOfficeCode(doctor.office)}\n\n`;
+            keyboard.inline_keyboard.push([{ text: `👨‍🏫 ${index + 1}. ${doctor.name}`, callback_data: `doctor_${index}` }]);
+        });
+    }
+    if (totalClubs > 0) {
+        text += `🎯 **Clubs & Teams (${totalClubs > clubs.length ? `${clubs.length} of ${totalClubs}` : totalClubs}):**\n\n`;
+        clubs.forEach((club, index) => {
+            text += `${index + 1}. **${club['Name of it ']}**\n`;
+            text += `   🏷️ ${club['Club/ Volunteer team']}\n\n`;
+            keyboard.inline_keyboard.push([{ text: `🎯 ${index + 1}. ${club['Name of it ']}`, callback_data: `club_${index}` }]);
+        });
+    }
+
+    // Removing the last filter of a text-less query leaves nothing to search, so that one starts over
+    filtered.filters.forEach((filter, index) => {
+        const rest = withoutFilter(parsed, index);
+        const callbackData = rest ? `repeat_searchid_${repeatSearchId(rest)}` : 'start';
+        keyboard.inline_keyboard.push([{ text: `❌ Remove ${label(filter)}`, callback_data: callbackData }]);
+    });
+    keyboard.inline_keyboard.push([{ text: '🔍 Search Again', callback_data: 'start' }]);
+
+    const session = replaceResults(sessionKey(msg.chat, msg.from.id), { results: doctors, clubs, query });
+    const sent = await bot.sendMessage(chatId, text, replyOptions(msg, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        reply_markup: keyboard
+    }));
+    rememberResults(sent, session);
+}
+
+// Answer a search typed as plain text (or sent with /find): rooms, availability
+// questions, then doctors, clubs and buildings together
+async function handleSearch(msg, query) {
     const chatId = msg.chat.id;
-    const query = msg.text.trim();
         // Skip if it's a command or empty
         if (query.startsWith('/') || query.length === 0) return;
-    if (query.startsWith('/')) return;
     
     console.log(`🔍 Search query from ${msg.from.first_name}: "${query}"`);
     
@@ -1199,11 +2301,19 @@ bot.onText(/^(?!\/).+/, async (msg) => {
     await bot.sendChatAction(chatId, 'typing');
     
     try {
-        // First, try to process as natural language question
-        const nlpResult = htuAssistant.processNaturalLanguageQuery(query);
-        
-        // ...existing code...
         try {
+            // Field filters ("dept:cyber day:monday malek") get their own results view
+            const filtered = htuAssistant.searchFiltered(query);
+            if (filtered) {
+                const userHistory = searchHistory.get(userId);
+                if (userHistory && userHistory.length > 0) {
+                    userHistory[userHistory.length - 1].success = filtered.totalDoctors + filtered.totalClubs > 0;
+                    try { saveSearchHistoryToFile(); } catch (e) { console.error('Failed to save search history:', e); }
+                }
+                await sendFilteredResults(msg, query, filtered);
+                return;
+            }
+
             // First, try to process as natural language question
             const nlpResult = htuAssistant.processNaturalLanguageQuery(query);
             let usedLocal = false;
@@ -1221,6 +2331,7 @@ bot.onText(/^(?!\/).+/, async (msg) => {
                         keyboard.inline_keyboard.push([
                             { text: '🏢 Office Location', callback_data: `nl_office_${encodeURIComponent(nlpResult.singleResult.name)}` }
                         ]);
+                        keyboard.inline_keyboard.push(buildDoctorActionRow(nlpResult.singleResult, chatId));
                     } else if (nlpResult.singleResult['Name of it ']) {
                         keyboard.inline_keyboard.push([
                             { text: '📧 Contact Club', callback_data: `nl_club_contact_${encodeURIComponent(nlpResult.singleResult['Name of it '])}` }
@@ -1233,28 +2344,79 @@ bot.onText(/^(?!\/).+/, async (msg) => {
                 ]);
             }
 
-            // Search both doctors and clubs
-            const doctorResults = htuAssistant.search(query);
-            const clubResults = htuAssistant.searchClubs(query);
+            // A bare room code ("S-321", "room n402") gets the room card, not a name search
+            const roomQuery = htuAssistant.parseRoomQuery(query);
+            if (roomQuery) {
+                const userHistory = searchHistory.get(userId);
+                if (userHistory && userHistory.length > 0) {
+                    userHistory[userHistory.length - 1].success = true;
+                    try { saveSearchHistoryToFile(); } catch (e) { console.error('Failed to save search history:', e); }
+                }
+                await sendRoomInfo(chatId, sessionKey(msg.chat, msg.from.id), roomQuery, replyOptions(msg));
+                return;
+            }
+
+            // Availability questions are answered from parsed office hours, not by plain search
+            if (nlpResult && nlpResult.intent === 'availability') {
+                const userHistory = searchHistory.get(userId);
+                if (userHistory && userHistory.length > 0) {
+                    userHistory[userHistory.length - 1].success = nlpResult.hasResults;
+                    try { saveSearchHistoryToFile(); } catch (e) { console.error('Failed to save search history:', e); }
+                }
+                if (!nlpResult.hasResults) {
+                    keyboard.inline_keyboard.push([
+                        { text: '🟢 Available Now', callback_data: 'now' },
+                        { text: '🏠 Back to Start', callback_data: 'start' }
+                    ]);
+                }
+                await bot.sendMessage(chatId, nlpResult.response, replyOptions(msg, {
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true,
+                    reply_markup: keyboard
+                }));
+                return;
+            }
+
+            // Search doctors, clubs and buildings together
+            const everything = htuAssistant.searchEverything(query);
+            const doctorResults = everything.doctors;
+            const clubResults = everything.clubs;
+            const buildingResults = everything.buildings;
             const userHistory = searchHistory.get(userId);
             if (userHistory && userHistory.length > 0) {
-                userHistory[userHistory.length - 1].success = (doctorResults.length > 0 || clubResults.length > 0);
+                userHistory[userHistory.length - 1].success = (doctorResults.length > 0 || clubResults.length > 0 || buildingResults.length > 0);
                 userHistory[userHistory.length - 1].doctorResults = doctorResults.length;
                 userHistory[userHistory.length - 1].clubResults = clubResults.length;
                 try { saveSearchHistoryToFile(); } catch (e) { console.error('Failed to save search history:', e); }
             }
 
-            if (doctorResults.length === 0 && clubResults.length === 0) {
-                await bot.sendMessage(chatId, '😔 I could not find an answer for your question.');
+            if (doctorResults.length === 0 && clubResults.length === 0 && buildingResults.length === 0) {
+                // Offer close department and doctor names and known abbreviations as buttons
+                const suggestions = htuAssistant.getSmartSuggestions(query);
+                if (suggestions.length === 0) {
+                    await bot.sendMessage(chatId, '😔 I could not find an answer for your question.', replyOptions(msg));
+                    return;
+                }
+                const suggestionKeyboard = {
+                    inline_keyboard: suggestions.map(suggestion => {
+                        return [{ text: `🔍 ${suggestion}`, callback_data: `repeat_searchid_${repeatSearchId(suggestion)}` }];
+                    })
+                };
+                await bot.sendMessage(chatId, '😔 I could not find an answer for your question.\n\n💡 Did you mean:', replyOptions(msg, { reply_markup: suggestionKeyboard }));
                 return;
-            } else if (doctorResults.length === 1 && clubResults.length === 0) {
+            } else if (buildingResults.length === 1 && everything.order[0] === 'buildings' && doctorResults.length + clubResults.length === 0) {
+                // A building on its own gets its floor-by-floor card
+                const { text, keyboard } = buildBuildingDirectory(buildingResults[0].code);
+                await bot.sendMessage(chatId, text, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: keyboard }));
+            } else if (doctorResults.length === 1 && clubResults.length === 0 && buildingResults.length === 0) {
                 // ...existing code for single doctor result...
                 const detailedMessage = htuAssistant.formatDoctorInfo(doctorResults[0]);
-                await bot.sendMessage(chatId, detailedMessage, {
+                await bot.sendMessage(chatId, detailedMessage, replyOptions(msg, {
                     parse_mode: 'Markdown',
                     disable_web_page_preview: true,
                     reply_markup: {
                         inline_keyboard: [
+                            buildDoctorActionRow(doctorResults[0], chatId),
                             [
                                 { text: '🔍 Search Again', callback_data: 'start' }
                             ],
@@ -1263,15 +2425,16 @@ bot.onText(/^(?!\/).+/, async (msg) => {
                             ]
                         ]
                     }
-        });
-    } else if (clubResults.length === 1 && doctorResults.length === 0) {
+        }));
+    } else if (clubResults.length === 1 && doctorResults.length === 0 && buildingResults.length === 0) {
                 // ...existing code for single club result...
                 const detailedMessage = htuAssistant.formatClubInfo(clubResults[0]);
-                await bot.sendMessage(chatId, detailedMessage, {
+                await bot.sendMessage(chatId, detailedMessage, replyOptions(msg, {
                     parse_mode: 'Markdown',
                     disable_web_page_preview: true,
                     reply_markup: {
                         inline_keyboard: [
+                            buildClubShareRow(clubResults[0]),
                             [
                                 { text: '🔍 Search Again', callback_data: 'start' }
                             ],
@@ -1280,64 +2443,126 @@ bot.onText(/^(?!\/).+/, async (msg) => {
                             ]
                         ]
                     }
-        });
+        }));
     } else {
                 // ...existing code for multiple results...
                 let resultsMessage = '';
                 let keyboard = { inline_keyboard: [] };
                 let sessionData = { results: [], clubs: [], query, timestamp: Date.now() };
-                const totalResults = doctorResults.length + clubResults.length;
+                const totalResults = doctorResults.length + clubResults.length + buildingResults.length;
                 resultsMessage += `🎉 **Great! Found ${totalResults} result${totalResults === 1 ? '' : 's'} for "${query}"**\n\n`;
-                if (doctorResults.length > 0) {
-                    resultsMessage += `👨‍⚕️ **Doctors (${doctorResults.length}):**\n\n`;
-                    doctorResults.forEach((doctor, index) => {
-                        resultsMessage += `${index + 1}. **${doctor.name}**\n`;
-                        resultsMessage += `   📚 ${doctor.department}\n`;
-                        resultsMessage += `   📧 [${doctor.email}](mailto:${doctor.email})\n`;
-                        resultsMessage += `   🏢 ${doctor.office || 'Not specified'}\n\n`;
-                    });
-                    sessionData.results = doctorResults;
-                    doctorResults.forEach((doctor, index) => {
-                        keyboard.inline_keyboard.push([{
-                            text: `👨‍🏫 ${index + 1}. ${doctor.name}`,
-                            callback_data: `doctor_${index}`
-                        }]);
-                    });
-                }
-                if (clubResults.length > 0) {
-                    if (doctorResults.length > 0) resultsMessage += '\n';
-                    resultsMessage += `🎯 **Clubs & Teams (${clubResults.length}):**\n\n`;
-                    clubResults.forEach((club, index) => {
-                        resultsMessage += `${index + 1}. **${club['Name of it ']}**\n`;
-                        resultsMessage += `   🏷️ ${club['Club/ Volunteer team']}\n`;
-                        if (club['The email'] && club['The email'] !== 'N/A') {
-                            resultsMessage += `   📧 [${club['The email']}](mailto:${club['The email']})\n`;
+                // Sections follow everything.order so the best-scoring kind comes first
+                const sections = {
+                    buildings: () => {
+                        resultsMessage += `🏢 **Buildings (${buildingResults.length}):**\n\n`;
+                        buildingResults.forEach(({ code, info }, index) => {
+                            const occupants = htuAssistant.getBuildingDirectory(code)
+                                .reduce((n, floor) => n + floor.rooms.reduce((m, room) => m + room.doctors.length, 0), 0);
+                            resultsMessage += `${index + 1}. **${info.name} (${code})**\n`;
+                            if (info.nickname) resultsMessage += `   🏷️ ${info.nickname}\n`;
+                            resultsMessage += `   👨‍🏫 ${occupants} doctor${occupants === 1 ? '' : 's'} with offices here\n\n`;
+                            keyboard.inline_keyboard.push([{ text: `🏢 ${info.name} (${code})`, callback_data: `building_${code}` }]);
+                        });
+                    },
+                    doctors: () => {
+                        resultsMessage += `👨‍⚕️ **Doctors (${doctorResults.length}):**\n\n`;
+                        doctorResults.forEach((doctor, index) => {
+                            resultsMessage += `${index + 1}. **${doctor.name}**\n`;
+                            resultsMessage += `   📚 ${doctor.department}\n`;
+                            resultsMessage += `   📧 [${doctor.email}](mailto:${doctor.email})\n`;
+                            resultsMessage += `   🏢 ${htuAssistant.formatOfficeCode(doctor.office)}\n\n`;
+                        });
+                        sessionData.results = doctorResults;
+                        doctorResults.forEach((doctor, index) => {
+                            keyboard.inline_keyboard.push([{
+                                text: `👨‍🏫 ${index + 1}. ${doctor.name}`,
+                                callback_data: `doctor_${index}`
+                            }]);
+                        });
+                        if (doctorResults.length >= 2) {
+                            keyboard.inline_keyboard.push([{ text: '🤝 Find common free time', callback_data: 'common_pick' }]);
                         }
-                        resultsMessage += `\n`;
-                    });
-                    sessionData.clubs = clubResults;
-                    clubResults.forEach((club, index) => {
-                        keyboard.inline_keyboard.push([{
-                            text: `🎯 ${index + 1}. ${club['Name of it ']}`,
-                            callback_data: `club_${index}`
-                        }]);
-                    });
-                }
+                    },
+                    clubs: () => {
+                        resultsMessage += `🎯 **Clubs & Teams (${clubResults.length}):**\n\n`;
+                        clubResults.forEach((club, index) => {
+                            resultsMessage += `${index + 1}. **${club['Name of it ']}**\n`;
+                            resultsMessage += `   🏷️ ${club['Club/ Volunteer team']}\n`;
+                            if (club['The email'] && club['The email'] !== 'N/A') {
+                                resultsMessage += `   📧 [${club['The email']}](mailto:${club['The email']})\n`;
+                            }
+                            resultsMessage += `\n`;
+                        });
+                        sessionData.clubs = clubResults;
+                        clubResults.forEach((club, index) => {
+                            keyboard.inline_keyboard.push([{
+                                text: `🎯 ${index + 1}. ${club['Name of it ']}`,
+                                callback_data: `club_${index}`
+                            }]);
+                        });
+                    }
+                };
+                everything.order.forEach((type, index) => {
+                    if (index > 0) resultsMessage += '\n';
+                    sections[type]();
+                });
                 resultsMessage += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n💡 **Click any button below for full details!**`;
-                userSessions.set(chatId, sessionData);
-                await bot.sendMessage(chatId, resultsMessage, {
+                userSessions.set(sessionKey(msg.chat, msg.from.id), sessionData);
+                const sent = await bot.sendMessage(chatId, resultsMessage, replyOptions(msg, {
                     parse_mode: 'Markdown',
                     disable_web_page_preview: true,
                     reply_markup: keyboard
-                });
+                }));
+                rememberResults(sent, sessionData);
             }
         } catch (innerError) {
             console.error('Error in inner try block:', innerError);
         }
     } catch (error) {
         console.error('Error processing search query:', error);
-        await bot.sendMessage(chatId, '😔 An error occurred while processing your question.');
+        await bot.sendMessage(chatId, '😔 An error occurred while processing your question.', replyOptions(msg));
+    }
+}
+
+// Handle search queries (any text that's not a command). In groups only
+// mentions of the bot and replies to its messages count as searches.
+bot.onText(/^(?!\/).+/, async (msg) => {
+    let query = msg.text.trim();
+    if (isGroupChat(msg.chat)) {
+        query = addressedQuery(msg, botIdentity, getGroupSettings(msg.chat.id));
+        if (query === null) return;
+        if (!query) {
+            await bot.sendMessage(msg.chat.id, `👋 Ask me with a name, department or room, e.g. "@${botIdentity.username} S-321".`, replyOptions(msg));
+            return;
+        }
+    }
+    await handleSearch(msg, query);
+});
+
+// Handle /find command: explicit search, mainly for groups
+onCommand(/^\/find\b(?:\s+([\s\S]+))?/, async (msg, match) => {
+    if (isGroupChat(msg.chat) && !getGroupSettings(msg.chat.id).find) return;
+    const query = (match[1] || '').trim();
+    if (!query) {
+        await bot.sendMessage(msg.chat.id, '🔎 Usage: /find <name, department, club or room>\nExample: /find S-321', replyOptions(msg));
+        return;
+    }
+    await handleSearch(msg, query);
+});
+
+// Handle /groupsettings command: which group messages the bot answers (admins only)
+onCommand(/^\/groupsettings\b/, async (msg) => {
+    const chatId = msg.chat.id;
+    if (!isGroupChat(msg.chat)) {
+        await bot.sendMessage(chatId, '⚙️ /groupsettings only works inside a group chat.', replyOptions(msg));
+        return;
+    }
+    if (!(await isGroupAdmin(chatId, msg.from.id))) {
+        await bot.sendMessage(chatId, '⛔ Only group admins can change my settings.', replyOptions(msg));
+        return;
     }
+    const { text, keyboard } = buildGroupSettingsKeyboard(chatId);
+    await bot.sendMessage(chatId, text, replyOptions(msg, { parse_mode: 'Markdown', reply_markup: keyboard }));
 });
 
 // Handle errors
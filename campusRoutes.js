@@ -0,0 +1,133 @@
+// Walking directions over campusGraph.json.
+// Each building has floor hubs ("S@3"), connector stops per floor for its
+// stairs/elevators ("S@3/elevator") and entrances ("S:main"); connections link
+// entrances of different buildings. A shortest path (Dijkstra on minutes) is
+// then folded into readable steps like "Take the main staircase down to Floor 1".
+
+function floorLabel(floor) {
+    if (floor < 0) return 'the basement';
+    return floor === 0 ? 'the ground floor' : `Floor ${floor}`;
+}
+
+// Directed adjacency list: Map node -> [{ to, minutes, kind, ... }]
+function buildGraph(campus) {
+    const graph = new Map();
+    const addEdge = (from, to, minutes, info = {}) => {
+        if (!graph.has(from)) graph.set(from, []);
+        if (!graph.has(to)) graph.set(to, []);
+        graph.get(from).push(Object.assign({ to, minutes }, info));
+    };
+
+    Object.entries((campus && campus.buildings) || {}).forEach(([code, building]) => {
+        const floors = (building.floors || []).slice().sort((a, b) => a - b);
+        floors.forEach(floor => {
+            if (!graph.has(`${code}@${floor}`)) graph.set(`${code}@${floor}`, []);
+        });
+
+        (building.entrances || []).forEach(entrance => {
+            const door = `${code}:${entrance.id}`;
+            const hub = `${code}@${building.entranceFloor}`;
+            addEdge(hub, door, 0.5, { kind: 'exit', building: code, label: entrance.label });
+            addEdge(door, hub, 0.5, { kind: 'enter', building: code, label: entrance.label, floor: building.entranceFloor });
+        });
+
+        (building.connectors || []).forEach(connector => {
+            const stop = floor => `${code}@${floor}/${connector.id}`;
+            floors.forEach((floor, i) => {
+                // Waiting is paid once when stepping into the connector
+                addEdge(`${code}@${floor}`, stop(floor), connector.waitMinutes || 0, { kind: 'board', connector, floor });
+                addEdge(stop(floor), `${code}@${floor}`, 0, { kind: 'alight', connector, floor });
+                if (i + 1 < floors.length) {
+                    const next = floors[i + 1];
+                    const minutes = (connector.minutesPerFloor || 0.5) * (next - floor);
+                    addEdge(stop(floor), stop(next), minutes, { kind: 'ride', connector });
+                    addEdge(stop(next), stop(floor), minutes, { kind: 'ride', connector });
+                }
+            });
+        });
+    });
+
+    ((campus && campus.connections) || []).forEach(link => {
+        addEdge(link.from, link.to, link.minutes, { kind: 'walk', directions: link.directions });
+        addEdge(link.to, link.from, link.minutes, { kind: 'walk', directions: link.directionsBack || link.directions });
+    });
+    return graph;
+}
+
+// Cheapest path as a list of edges, or null when unreachable
+function shortestPath(graph, start, goal) {
+    const dist = new Map([[start, 0]]);
+    const prev = new Map();
+    const done = new Set();
+
+    for (;;) {
+        let current = null;
+        dist.forEach((d, node) => {
+            if (!done.has(node) && (current === null || d < dist.get(current))) current = node;
+        });
+        if (current === null) return null;
+        if (current === goal) break;
+        done.add(current);
+        (graph.get(current) || []).forEach(edge => {
+            const d = dist.get(current) + edge.minutes;
+            if (!dist.has(edge.to) || d < dist.get(edge.to)) {
+                dist.set(edge.to, d);
+                prev.set(edge.to, { from: current, edge });
+            }
+        });
+    }
+
+    const edges = [];
+    for (let node = goal; prev.has(node); node = prev.get(node).from) edges.unshift(prev.get(node).edge);
+    return edges;
+}
+
+// Directions between two endpoints { building, floor, label }.
+// Returns { minutes, steps } or { error }.
+function findRoute(campus, from, to) {
+    const buildings = (campus && campus.buildings) || {};
+    for (const end of [from, to]) {
+        const building = buildings[end.building];
+        if (!building) return { error: `I don't have walking data for building ${end.building} yet.` };
+        if (!(building.floors || []).includes(end.floor)) {
+            return { error: `I don't have walking data for ${floorLabel(end.floor)} of building ${end.building}.` };
+        }
+    }
+
+    const graph = buildGraph(campus);
+    const edges = shortestPath(graph, `${from.building}@${from.floor}`, `${to.building}@${to.floor}`);
+    if (!edges) return { error: `I couldn't find a walking route from ${from.label} to ${to.label}.` };
+
+    const steps = [`Start at ${from.label}.`];
+    let minutes = 0;
+    let boardedAt = null;
+    edges.forEach(edge => {
+        minutes += edge.minutes;
+        if (edge.kind === 'board') {
+            boardedAt = edge.floor;
+        } else if (edge.kind === 'alight') {
+            const direction = edge.floor > boardedAt ? 'up' : 'down';
+            steps.push(`Take the ${edge.connector.label} ${direction} to ${floorLabel(edge.floor)}.`);
+            boardedAt = null;
+        } else if (edge.kind === 'exit') {
+            steps.push(`Leave the building through the ${edge.label}.`);
+        } else if (edge.kind === 'walk') {
+            steps.push(`${edge.directions} (about ${Math.round(edge.minutes)} min).`);
+        } else if (edge.kind === 'enter') {
+            steps.push(`Enter building ${edge.building} through the ${edge.label} (${floorLabel(edge.floor)}).`);
+        }
+    });
+
+    steps.push(steps.length === 1
+        ? `${to.label} is on the same floor — follow the corridor.`
+        : `Follow the corridor to ${to.label}.`);
+
+    return { minutes: Math.max(1, Math.round(minutes)), steps };
+}
+
+module.exports = {
+    floorLabel,
+    buildGraph,
+    shortestPath,
+    findRoute
+};
@@ -15,12 +15,25 @@ module.exports = {
     NODE_ENV: process.env.NODE_ENV || 'production',
     DOCTORS_DATA_PATH: process.env.DOCTORS_DATA_PATH || './doctors.json',
     MAX_RESULTS: Number(process.env.MAX_RESULTS || 10),
+    // Campus time zone used for "available now" and office-hours features
+    TIMEZONE: process.env.TIMEZONE || 'Asia/Amman',
      // Health endpoint port for external monitors
      HEALTH_PORT: Number(process.env.HEALTH_PORT || 3000),
      // Paths for simple persistence
      HISTORY_PATH: process.env.HISTORY_PATH || './data/searchHistory.json',
      STATS_PATH: process.env.STATS_PATH || './data/funStats.json',
     USER_PREFS_PATH: process.env.USER_PREFS_PATH || './data/userPrefs.json',
+    REMINDERS_PATH: process.env.REMINDERS_PATH || './data/reminders.json',
+    FOLLOWS_PATH: process.env.FOLLOWS_PATH || './data/follows.json',
+    // Synonyms added by admins with /synonym, on top of synonyms.json
+    SYNONYMS_PATH: process.env.SYNONYMS_PATH || './data/synonyms.json',
+    // Per-group answer settings changed by group admins with /groupsettings
+    GROUP_SETTINGS_PATH: process.env.GROUP_SETTINGS_PATH || './data/groupSettings.json',
+    // Bot username without "@"; fetched with getMe() at startup, this is only the fallback
+    BOT_USERNAME: process.env.BOT_USERNAME || '',
+    // Copies of the data files kept after each successful reload (see /snapshots, /rollback)
+    SNAPSHOTS_DIR: process.env.SNAPSHOTS_DIR || './data/snapshots',
+    SNAPSHOT_RETENTION: Number(process.env.SNAPSHOT_RETENTION || 20),
     // Comma-separated admin user ids (e.g. "12345,67890") for admin-only commands like /reload
     ADMIN_IDS: (process.env.ADMIN_IDS || '').split(',').map(s => Number(s)).filter(Boolean),
     WELCOME_MESSAGE: `🎓 *Welcome to Athar Bot!* 
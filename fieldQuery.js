@@ -0,0 +1,62 @@
+// Field-scoped search syntax.
+// "dept:cyber day:monday building:S malek" filters doctors and clubs on their
+// fields and leaves "malek" as free text for the usual scored search. Values
+// with spaces are quoted (type:"Volunteer team") and a * is a wildcard
+// (office:S-3*). Words that only look like a field ("note: ...", URLs) stay text.
+
+// Canonical field → what it filters and the names it can be typed as
+const FIELDS = {
+    dept: { aliases: ['dept', 'department', 'major'], kind: 'doctors', label: 'Department' },
+    school: { aliases: ['school', 'faculty'], kind: 'doctors', label: 'School' },
+    day: { aliases: ['day'], kind: 'doctors', label: 'Office hours on' },
+    building: { aliases: ['building', 'bldg'], kind: 'doctors', label: 'Building' },
+    office: { aliases: ['office', 'room'], kind: 'doctors', label: 'Office' },
+    type: { aliases: ['type'], kind: 'clubs', label: 'Type' }
+};
+
+const ALIASES = {};
+Object.entries(FIELDS).forEach(([field, { aliases }]) => aliases.forEach(alias => { ALIASES[alias] = field; }));
+
+// key:value, key: value, key:"quoted value" (straight or curly quotes)
+const FILTER = /(^|\s)([a-z]+):\s*(?:["“”]([^"“”]*)["“”]|([^\s"“”]+))/gi;
+
+// { filters: [{ field, value }], text } for a query; text is what is left once the filters are taken out
+function parseFieldQuery(query) {
+    const filters = [];
+    const text = String(query || '').replace(FILTER, (whole, lead, key, quoted, bare) => {
+        const field = ALIASES[key.toLowerCase()];
+        const value = (quoted !== undefined ? quoted : bare).trim();
+        if (!field || !value) return whole;
+        filters.push({ field, value });
+        return lead;
+    });
+    return { filters, text: text.replace(/\s+/g, ' ').trim() };
+}
+
+// Back to query text: formatFieldQuery(parseFieldQuery(q)) searches the same as q
+function formatFieldQuery({ filters, text }) {
+    return filters
+        .map(({ field, value }) => `${field}:${/\s/.test(value) ? `"${value}"` : value}`)
+        .concat(text ? [text] : [])
+        .join(' ');
+}
+
+// The query with one filter taken out (for "remove filter" buttons)
+function withoutFilter(parsed, index) {
+    return formatFieldQuery({ filters: parsed.filters.filter((filter, i) => i !== index), text: parsed.text });
+}
+
+// A value with * wildcards as an anchored, case-insensitive pattern; null without wildcards
+function wildcardPattern(value) {
+    if (!String(value).includes('*')) return null;
+    const source = String(value).split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+module.exports = {
+    FIELDS,
+    parseFieldQuery,
+    formatFieldQuery,
+    withoutFilter,
+    wildcardPattern
+};
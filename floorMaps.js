@@ -0,0 +1,98 @@
+// SVG floor maps drawn from floorLayouts.json.
+// A floor is a corridor with a row of rooms above and below it and optional
+// landmarks (stairs, elevator...) at either end. The requested room is filled
+// with a highlight colour; everything else is drawn in the building's colour.
+
+const ROOM_WIDTH = 70;
+const ROOM_HEIGHT = 60;
+const CORRIDOR_HEIGHT = 36;
+const LANDMARK_WIDTH = 80;
+const MARGIN = 20;
+const HEADER_HEIGHT = 56;
+const FOOTER_HEIGHT = 28;
+
+// Light tints for the legend colour names in htuNameSystem.json
+const BUILDING_TINTS = {
+    blue: '#dbe8fb',
+    red: '#fbdcdc',
+    yellow: '#fdf3c4',
+    orange: '#fde3c8',
+    neutral: '#e8e8e8'
+};
+const HIGHLIGHT = '#e53935';
+
+function escapeXml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Layout for one building floor, or null when the data has none
+function getFloorLayout(layouts, building, floor) {
+    const floors = layouts && layouts.buildings && layouts.buildings[building];
+    return (floors && floors[String(floor)]) || null;
+}
+
+// True when the layout has a box for this room code
+function layoutHasRoom(layout, code) {
+    return Boolean(layout) && (layout.top || []).concat(layout.bottom || []).includes(code);
+}
+
+// Render a floor as an SVG string.
+// options: { title, subtitle, color, highlight } where highlight is a room code
+function renderFloorSvg(layout, options = {}) {
+    const top = layout.top || [];
+    const bottom = layout.bottom || [];
+    const landmarks = layout.landmarks || {};
+    const columns = Math.max(top.length, bottom.length, 1);
+    const left = landmarks.left ? LANDMARK_WIDTH : 0;
+    const right = landmarks.right ? LANDMARK_WIDTH : 0;
+
+    const width = MARGIN * 2 + left + columns * ROOM_WIDTH + right;
+    const planHeight = ROOM_HEIGHT * 2 + CORRIDOR_HEIGHT;
+    const height = HEADER_HEIGHT + planHeight + FOOTER_HEIGHT + MARGIN;
+    const tint = BUILDING_TINTS[String(options.color || '').toLowerCase()] || BUILDING_TINTS.neutral;
+    const x0 = MARGIN + left;
+    const y0 = HEADER_HEIGHT;
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">`);
+    parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+    parts.push(`<text x="${MARGIN}" y="26" font-size="18" font-weight="bold">${escapeXml(options.title || '')}</text>`);
+    if (options.subtitle) parts.push(`<text x="${MARGIN}" y="46" font-size="12" fill="#555555">${escapeXml(options.subtitle)}</text>`);
+
+    const drawRoom = (code, x, y) => {
+        const active = code === options.highlight;
+        parts.push(`<rect x="${x}" y="${y}" width="${ROOM_WIDTH}" height="${ROOM_HEIGHT}" fill="${active ? HIGHLIGHT : tint}" stroke="#333333" stroke-width="${active ? 3 : 1}"/>`);
+        parts.push(`<text x="${x + ROOM_WIDTH / 2}" y="${y + ROOM_HEIGHT / 2 + 4}" font-size="12" text-anchor="middle" fill="${active ? '#ffffff' : '#222222'}"${active ? ' font-weight="bold"' : ''}>${escapeXml(code)}</text>`);
+    };
+    top.forEach((code, i) => drawRoom(code, x0 + i * ROOM_WIDTH, y0));
+    bottom.forEach((code, i) => drawRoom(code, x0 + i * ROOM_WIDTH, y0 + ROOM_HEIGHT + CORRIDOR_HEIGHT));
+
+    // Corridor
+    const corridorY = y0 + ROOM_HEIGHT;
+    parts.push(`<rect x="${MARGIN}" y="${corridorY}" width="${width - MARGIN * 2}" height="${CORRIDOR_HEIGHT}" fill="#f7f7f7" stroke="#bbbbbb"/>`);
+    parts.push(`<text x="${x0 + (columns * ROOM_WIDTH) / 2}" y="${corridorY + CORRIDOR_HEIGHT / 2 + 4}" font-size="11" text-anchor="middle" fill="#888888">corridor</text>`);
+
+    const drawLandmark = (label, x) => {
+        parts.push(`<rect x="${x}" y="${y0}" width="${LANDMARK_WIDTH}" height="${planHeight}" fill="#eeeeee" stroke="#333333" stroke-dasharray="4 3"/>`);
+        parts.push(`<text x="${x + LANDMARK_WIDTH / 2}" y="${y0 + planHeight / 2 + 4}" font-size="12" text-anchor="middle" fill="#333333">${escapeXml(label)}</text>`);
+    };
+    if (landmarks.left) drawLandmark(landmarks.left, MARGIN);
+    if (landmarks.right) drawLandmark(landmarks.right, x0 + columns * ROOM_WIDTH);
+
+    if (options.highlight) {
+        parts.push(`<rect x="${MARGIN}" y="${height - FOOTER_HEIGHT}" width="12" height="12" fill="${HIGHLIGHT}"/>`);
+        parts.push(`<text x="${MARGIN + 18}" y="${height - FOOTER_HEIGHT + 11}" font-size="12" fill="#333333">${escapeXml(options.highlight)}</text>`);
+    }
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+module.exports = {
+    getFloorLayout,
+    layoutHasRoom,
+    renderFloorSvg
+};
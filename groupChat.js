@@ -0,0 +1,81 @@
+// Group-chat addressing rules.
+// In a group the bot sees every message (when privacy mode is off), so it only
+// answers what is clearly meant for it: "@athar_bot dr ahmad", a reply to one of
+// its own messages, or "/find dr ahmad". Commands sent to a specific bot
+// ("/start@OtherBot") are ignored unless that bot is us.
+
+// Per-chat toggles a group admin can change with /groupsettings
+const DEFAULT_GROUP_SETTINGS = {
+    mentions: true, // answer "@bot <query>"
+    replies: true, // answer replies to the bot's own messages
+    find: true, // answer "/find <query>"
+    thread: true // send answers as replies to the asking message
+};
+
+const GROUP_SETTING_LABELS = {
+    mentions: 'Answer @mentions',
+    replies: 'Answer replies to my messages',
+    find: 'Answer /find',
+    thread: 'Reply in thread'
+};
+
+function isGroupChat(chat) {
+    return Boolean(chat) && (chat.type === 'group' || chat.type === 'supergroup');
+}
+
+// Stored settings merged over the defaults; unknown keys are dropped
+function normalizeGroupSettings(stored) {
+    const settings = Object.assign({}, DEFAULT_GROUP_SETTINGS);
+    Object.keys(DEFAULT_GROUP_SETTINGS).forEach(key => {
+        if (stored && typeof stored[key] === 'boolean') settings[key] = stored[key];
+    });
+    return settings;
+}
+
+// "/route@athar_bot S-321 to N-402" → "athar_bot"; null for commands without a target
+function commandTarget(text) {
+    const match = String(text || '').match(/^\/[A-Za-z0-9_]+@([A-Za-z0-9_]+)/);
+    return match ? match[1] : null;
+}
+
+// "/route@athar_bot S-321 to N-402" → "/route S-321 to N-402"
+function stripCommandTarget(text) {
+    return String(text || '').replace(/^(\/[A-Za-z0-9_]+)@[A-Za-z0-9_]+/, '$1');
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whether the message answers one of the bot's own messages
+function repliesToBot(msg, me) {
+    const repliedTo = msg && msg.reply_to_message && msg.reply_to_message.from;
+    if (!repliedTo || !me) return false;
+    return repliedTo.id === me.id || (Boolean(me.username) && String(repliedTo.username || '').toLowerCase() === me.username.toLowerCase());
+}
+
+// The search text of a group message meant for the bot, or null when it should
+// stay quiet. `me` is { id, username } from getMe().
+function addressedQuery(msg, me, settings = DEFAULT_GROUP_SETTINGS) {
+    const text = String((msg && msg.text) || '').trim();
+    if (!text || !me || !me.username) return null;
+
+    const mention = new RegExp(`(^|\\s)@${escapeRegex(me.username)}\\b`, 'i');
+    if (settings.mentions && mention.test(text)) {
+        return text.replace(new RegExp(mention.source, 'gi'), ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    if (settings.replies && repliesToBot(msg, me)) return text;
+    return null;
+}
+
+module.exports = {
+    DEFAULT_GROUP_SETTINGS,
+    GROUP_SETTING_LABELS,
+    isGroupChat,
+    normalizeGroupSettings,
+    commandTarget,
+    stripCommandTarget,
+    repliesToBot,
+    addressedQuery
+};
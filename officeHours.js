@@ -0,0 +1,484 @@
+// Office-hours parsing helpers.
+// doctors.json stores office hours as free text per day, e.g.
+//   "Sunday": "10:00 AM – 1:00 PM, 2:30 PM – 3:00 PM Iman office"
+// These helpers turn that text into typed slots (minutes since midnight)
+// while keeping the raw string around for display.
+
+// HTU week order (Sunday first). Saturday is kept last so odd data still sorts.
+const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WORKING_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'];
+
+const TIME_PATTERN = '(\\d{1,2})(?:[:.](\\d{1,2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)?';
+const RANGE_REGEX = new RegExp(`^${TIME_PATTERN}\\s*(?:–|—|-|to)\\s*${TIME_PATTERN}(?![\\w])\\s*(.*)$`, 'i');
+const ONLINE_REGEX = /\b(teams|online|zoom|meet)\b/i;
+
+// Plausible campus window used when auditing data (7:00 AM – 8:00 PM)
+const CAMPUS_OPEN = 7 * 60;
+const CAMPUS_CLOSE = 20 * 60;
+
+// Map any spelling of a day ("sun", "Sunday ", "SUNDAY") to its canonical name
+function canonicalDay(day) {
+    if (!day) return null;
+    const key = String(day).trim().toLowerCase().slice(0, 3);
+    return WEEK_DAYS.find(d => d.toLowerCase().startsWith(key)) || null;
+}
+
+function meridiemOf(token) {
+    if (!token) return null;
+    return token.toLowerCase().startsWith('p') ? 'PM' : 'AM';
+}
+
+function toMinutes(hour, minute, meridiem) {
+    let h = hour % 12;
+    if (meridiem === 'PM') h += 12;
+    return h * 60 + minute;
+}
+
+// When no meridiem is written at all, guess from campus hours:
+// 7–11 are mornings, 12 is noon and 1–6 are afternoons.
+function guessMeridiem(hour) {
+    return hour >= 7 && hour <= 11 ? 'AM' : 'PM';
+}
+
+// Resolve a missing meridiem on one side of a range. Prefer copying the other
+// side's meridiem; flip it only when that yields a forward range
+// ("11:30 – 12:00 PM" is 11:30 AM, not 11:30 PM).
+function resolveMeridiems(startHour, startMinute, startMer, endHour, endMinute, endMer) {
+    if (startMer && endMer) return [startMer, endMer, false];
+    if (!startMer && !endMer) return [guessMeridiem(startHour), guessMeridiem(endHour), true];
+    const flip = m => (m === 'AM' ? 'PM' : 'AM');
+    if (!startMer) {
+        const end = toMinutes(endHour, endMinute, endMer);
+        const same = toMinutes(startHour, startMinute, endMer);
+        const flipped = toMinutes(startHour, startMinute, flip(endMer));
+        const mer = same < end || !(flipped < end) ? endMer : flip(endMer);
+        return [mer, endMer, true];
+    }
+    const start = toMinutes(startHour, startMinute, startMer);
+    const same = toMinutes(endHour, endMinute, startMer);
+    const flipped = toMinutes(endHour, endMinute, flip(startMer));
+    const mer = same > start || !(flipped > start) ? startMer : flip(startMer);
+    return [startMer, mer, true];
+}
+
+function detectModality(text) {
+    return ONLINE_REGEX.test(text || '') ? 'online' : 'in_person';
+}
+
+// Parse one comma-separated segment such as "2:30 PM – 3:00 PM Iman office".
+// Returns null when the segment has no recognisable time range.
+function parseSegment(segment) {
+    const text = String(segment || '').replace(/\s+/g, ' ').trim();
+    const match = text.match(RANGE_REGEX);
+    if (!match) return null;
+
+    const startHour = Number(match[1]);
+    const startMinute = Number(match[2] || 0);
+    const endHour = Number(match[4]);
+    const endMinute = Number(match[5] || 0);
+    if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) return null;
+
+    const [startMer, endMer, inferred] = resolveMeridiems(
+        startHour, startMinute, meridiemOf(match[3]),
+        endHour, endMinute, meridiemOf(match[6])
+    );
+    const location = (match[7] || '').trim();
+    const start = toMinutes(startHour, startMinute, startMer);
+    const end = toMinutes(endHour, endMinute, endMer);
+
+    return {
+        start,
+        end,
+        location,
+        modality: detectModality(location),
+        inferred,
+        valid: end > start,
+        raw: text
+    };
+}
+
+// Parse the free-text hours for one day into slots and free-form notes
+function parseDayHours(day, raw) {
+    const canonical = canonicalDay(day) || String(day || '').trim();
+    const dayIndex = WEEK_DAYS.indexOf(canonical);
+    const text = raw === null || raw === undefined ? '' : String(raw);
+    const slots = [];
+    const notes = [];
+
+    text.split(',').forEach(part => {
+        const segment = part.replace(/\s+/g, ' ').trim();
+        if (!segment) return;
+        const slot = parseSegment(segment);
+        if (slot) {
+            slots.push(Object.assign({ day: canonical, dayIndex }, slot));
+        } else {
+            notes.push({ text: segment, modality: detectModality(segment) });
+        }
+    });
+
+    return { day: canonical, dayIndex, raw: text, slots, notes };
+}
+
+// Parse a doctor's whole `office_hours` map, sorted by HTU week order
+function parseOfficeHours(officeHours) {
+    if (!officeHours || typeof officeHours !== 'object') return [];
+    return Object.entries(officeHours)
+        .map(([day, raw]) => parseDayHours(day, raw))
+        .sort((a, b) => a.dayIndex - b.dayIndex);
+}
+
+// Format minutes since midnight as "2:30 PM"
+function formatMinutes(minutes) {
+    const m = ((minutes % 1440) + 1440) % 1440;
+    const h24 = Math.floor(m / 60);
+    const mm = String(m % 60).padStart(2, '0');
+    const suffix = h24 >= 12 ? 'PM' : 'AM';
+    const h12 = h24 % 12 === 0 ? 12 : h24 % 12;
+    return `${h12}:${mm} ${suffix}`;
+}
+
+function formatSlot(slot) {
+    let text = `${formatMinutes(slot.start)} – ${formatMinutes(slot.end)}`;
+    if (slot.location) text += ` (${slot.location})`;
+    return text;
+}
+
+function isPlausibleRange(start, end) {
+    return end > start && start >= CAMPUS_OPEN && end <= CAMPUS_CLOSE;
+}
+
+function flipMeridiem(minutes) {
+    return (minutes + 720) % 1440;
+}
+
+// Suggest a corrected slot by flipping AM/PM on one side of the range.
+// Returns { start, end } or null when no single flip gives campus hours.
+function suggestSlotFix(slot) {
+    const candidates = [
+        { start: flipMeridiem(slot.start), end: slot.end },
+        { start: slot.start, end: flipMeridiem(slot.end) }
+    ];
+    return candidates.find(c => isPlausibleRange(c.start, c.end)) || null;
+}
+
+// The slot as availability features should use it: unchanged when plausible,
+// AM/PM-corrected when a single flip fixes it, null when it cannot be used.
+function usableSlot(slot) {
+    if (isPlausibleRange(slot.start, slot.end)) return slot;
+    const fix = suggestSlotFix(slot);
+    if (fix) return Object.assign({}, slot, fix, { valid: true, corrected: true });
+    return slot.valid ? slot : null;
+}
+
+// Current weekday and minutes since midnight in the given IANA time zone
+function zonedDayTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date || new Date());
+    const get = type => (parts.find(p => p.type === type) || {}).value;
+    const day = get('weekday');
+    const minutes = (Number(get('hour')) % 24) * 60 + Number(get('minute'));
+    return { day, dayIndex: WEEK_DAYS.indexOf(day), minutes };
+}
+
+// Find the slot in progress and the next upcoming slot, walking forward from
+// `at` ({ dayIndex, minutes }) over the HTU working week only.
+// Returns { current: { slot, minutesLeft } | null, next: { slot, daysAhead, minutesUntil } | null }.
+function findNextSlot(slots, at) {
+    const working = (slots || []).filter(s => WORKING_DAYS.includes(s.day));
+    let current = null;
+    let next = null;
+
+    for (let daysAhead = 0; daysAhead <= 7 && !next; daysAhead++) {
+        const dayIndex = (at.dayIndex + daysAhead) % 7;
+        const daySlots = working
+            .filter(s => s.dayIndex === dayIndex)
+            .sort((a, b) => a.start - b.start);
+        for (const slot of daySlots) {
+            if (daysAhead === 0 && slot.start <= at.minutes && at.minutes < slot.end) {
+                if (!current) current = { slot, minutesLeft: slot.end - at.minutes };
+                continue;
+            }
+            if (daysAhead === 0 && slot.start <= at.minutes) continue;
+            // A week ahead only counts for slots earlier today than now
+            if (daysAhead === 7 && slot.start > at.minutes) continue;
+            next = { slot, daysAhead, minutesUntil: daysAhead * 1440 + slot.start - at.minutes };
+            break;
+        }
+    }
+    return { current, next };
+}
+
+// "today", "in 45 min", "tomorrow", "in 3 days"
+function describeDelay(daysAhead, minutesUntil) {
+    if (daysAhead === 0) return minutesUntil < 60 ? `in ${minutesUntil} min` : 'today';
+    if (daysAhead === 1) return 'tomorrow';
+    return `in ${daysAhead} days`;
+}
+
+const DAY_WORDS = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+};
+const PARTS_OF_DAY = {
+    morning: [7 * 60, 12 * 60],
+    noon: [12 * 60, 13 * 60],
+    afternoon: [12 * 60, 17 * 60],
+    evening: [17 * 60, 21 * 60]
+};
+const QUERY_TIME = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+
+function queryTimeToMinutes(hour, minute, meridiem) {
+    const h = Number(hour);
+    if (h > 23) return null;
+    const m = Number(minute || 0);
+    if (h > 12) return h * 60 + m;
+    return toMinutes(h, m, meridiemOf(meridiem) || guessMeridiem(h));
+}
+
+// Extract a day and/or time window from free text such as "tomorrow",
+// "Tuesday at 11", "this afternoon", "after 2pm" or "between 10 and 12".
+// `at` is the current { dayIndex, minutes } used for relative words.
+// Returns null when no time expression is present, otherwise
+// { dayIndex, day, from, to, label, rest } where rest is the text with the
+// time expression removed.
+function parseTimeExpression(text, at) {
+    let rest = ` ${String(text || '').toLowerCase()} `;
+    let dayIndex = null;
+    let dayLabel = '';
+    let from = null;
+    let to = null;
+    let timeLabel = '';
+    const take = regex => {
+        const match = rest.match(regex);
+        if (match) rest = rest.replace(match[0], ' ');
+        return match;
+    };
+
+    if (take(/\b(?:right\s+)?now\b/)) {
+        dayIndex = at.dayIndex;
+        dayLabel = 'right now';
+        from = at.minutes;
+        to = at.minutes + 1;
+    }
+    let match = take(/\b(today|tonight|tomorrow)\b/);
+    if (match && dayIndex === null) {
+        const ahead = match[1] === 'tomorrow' ? 1 : 0;
+        dayIndex = (at.dayIndex + ahead) % 7;
+        dayLabel = match[1] === 'tomorrow' ? 'tomorrow' : 'today';
+        if (match[1] === 'tonight') [from, to] = PARTS_OF_DAY.evening;
+    }
+    match = take(new RegExp(`\\b(?:on\\s+)?(${Object.keys(DAY_WORDS).sort((a, b) => b.length - a.length).join('|')})\\b`));
+    if (match && dayIndex === null) {
+        dayIndex = DAY_WORDS[match[1]];
+        dayLabel = WEEK_DAYS[dayIndex];
+    }
+
+    if (from === null && (match = take(new RegExp(`\\b(?:between|from)\\s+${QUERY_TIME}\\s*(?:and|to|-|–)\\s*${QUERY_TIME}`)))) {
+        from = queryTimeToMinutes(match[1], match[2], match[3] || match[6]);
+        to = queryTimeToMinutes(match[4], match[5], match[6]);
+        timeLabel = `between ${formatMinutes(from)} and ${formatMinutes(to)}`;
+    } else if (from === null && (match = take(new RegExp(`\\b(?:after|from|since)\\s+${QUERY_TIME}`)))) {
+        from = queryTimeToMinutes(match[1], match[2], match[3]);
+        to = 24 * 60;
+        timeLabel = `after ${formatMinutes(from)}`;
+    } else if (from === null && (match = take(new RegExp(`\\b(?:before|until|till)\\s+${QUERY_TIME}`)))) {
+        from = 0;
+        to = queryTimeToMinutes(match[1], match[2], match[3]);
+        timeLabel = `before ${formatMinutes(to)}`;
+    } else if (from === null && (match = take(new RegExp(`\\b(?:at|around|by)\\s+${QUERY_TIME}`)) || take(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/))) {
+        from = queryTimeToMinutes(match[1], match[2], match[3]);
+        to = from === null ? null : from + 1;
+        timeLabel = from === null ? '' : `at ${formatMinutes(from)}`;
+    } else if (from === null && (match = take(/\b(?:this\s+|in\s+the\s+)?(morning|afternoon|evening|noon)\b/))) {
+        [from, to] = PARTS_OF_DAY[match[1]];
+        timeLabel = match[1] === 'noon' ? 'at noon' : `in the ${match[1]}`;
+    }
+
+    if (dayIndex === null && from === null) return null;
+    if (from === null || to === null) {
+        from = 0;
+        to = 24 * 60;
+    }
+    if (dayIndex === null) {
+        dayIndex = at.dayIndex;
+        dayLabel = 'today';
+    }
+
+    return {
+        dayIndex,
+        day: WEEK_DAYS[dayIndex],
+        from,
+        to,
+        label: [dayLabel, timeLabel].filter(Boolean).join(' '),
+        rest: rest.replace(/\s+/g, ' ').trim()
+    };
+}
+
+// Merge overlapping/touching slots of one day into disjoint windows
+function mergeSlots(slots) {
+    const merged = [];
+    slots
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .forEach(slot => {
+            const last = merged[merged.length - 1];
+            if (last && slot.start <= last.end) {
+                last.end = Math.max(last.end, slot.end);
+            } else {
+                merged.push({ day: slot.day, dayIndex: slot.dayIndex, start: slot.start, end: slot.end });
+            }
+        });
+    return merged;
+}
+
+// Weekly windows where every list of slots overlaps (working days only).
+// `slotLists` holds one array of slots per person.
+function intersectSlots(slotLists) {
+    if (!slotLists || slotLists.length === 0) return [];
+    const windows = [];
+    WORKING_DAYS.forEach(day => {
+        let common = null;
+        slotLists.forEach(slots => {
+            const mine = mergeSlots(slots.filter(s => s.day === day));
+            if (common === null) {
+                common = mine;
+                return;
+            }
+            const next = [];
+            common.forEach(a => {
+                mine.forEach(b => {
+                    const start = Math.max(a.start, b.start);
+                    const end = Math.min(a.end, b.end);
+                    if (end > start) next.push({ day, dayIndex: a.dayIndex, start, end });
+                });
+            });
+            common = next;
+        });
+        windows.push(...(common || []));
+    });
+    return windows;
+}
+
+// Parts of `slots` not covered by `windows` (same day), e.g. a doctor's
+// office hours left over after removing the shared windows
+function subtractSlots(slots, windows) {
+    const remaining = [];
+    slots.forEach(slot => {
+        let pieces = [{ start: slot.start, end: slot.end }];
+        windows
+            .filter(w => w.day === slot.day)
+            .forEach(w => {
+                pieces = pieces.reduce((acc, p) => {
+                    if (w.end <= p.start || w.start >= p.end) return acc.concat(p);
+                    if (w.start > p.start) acc.push({ start: p.start, end: w.start });
+                    if (w.end < p.end) acc.push({ start: w.end, end: p.end });
+                    return acc;
+                }, []);
+            });
+        pieces.forEach(p => remaining.push(Object.assign({}, slot, p)));
+    });
+    return remaining;
+}
+
+const WEEK_MINUTES = 7 * 1440;
+
+// When to fire a reminder `lead` minutes before a slot, as a weekly time
+// { dayIndex, minutes, cron } (cron fields: minute hour * * weekday)
+function reminderTime(slot, lead) {
+    const weekMinute = (((slot.dayIndex * 1440 + slot.start - lead) % WEEK_MINUTES) + WEEK_MINUTES) % WEEK_MINUTES;
+    const dayIndex = Math.floor(weekMinute / 1440);
+    const minutes = weekMinute % 1440;
+    return { dayIndex, minutes, cron: `${minutes % 60} ${Math.floor(minutes / 60)} * * ${dayIndex}` };
+}
+
+// Minutes from `at` until the next occurrence of a weekly { dayIndex, minutes }
+function minutesUntilWeekly(target, at) {
+    const diff = (target.dayIndex * 1440 + target.minutes) - (at.dayIndex * 1440 + at.minutes);
+    return ((diff % WEEK_MINUTES) + WEEK_MINUTES) % WEEK_MINUTES || WEEK_MINUTES;
+}
+
+// Find data problems in one parsed day entry (see parseDayHours).
+// Each issue is { type, day, raw, message, suggestion } where type is one of
+// ampm_typo, reversed_range, outside_campus_hours, empty_segment, overlap, weekend_day.
+function auditDayHours(entry) {
+    const issues = [];
+    const push = (type, raw, message, suggestion) => {
+        issues.push({ type, day: entry.day, raw, message, suggestion: suggestion || null });
+    };
+
+    if (!WORKING_DAYS.includes(entry.day)) {
+        push('weekend_day', entry.raw, `${entry.day} is not an HTU working day (Sunday–Thursday)`);
+    }
+
+    const segments = entry.raw.split(',');
+    if (segments.length > 1 && segments.some(part => !part.trim())) {
+        const cleaned = segments.map(part => part.trim()).filter(Boolean).join(', ');
+        push('empty_segment', entry.raw, 'Empty segment (stray comma)', cleaned);
+    }
+
+    // Effective slots after applying obvious fixes, used for the overlap check
+    const effective = [];
+    entry.slots.forEach(slot => {
+        if (isPlausibleRange(slot.start, slot.end)) {
+            effective.push(slot);
+            return;
+        }
+        const fix = suggestSlotFix(slot);
+        if (fix) {
+            const fixed = Object.assign({}, slot, fix, { valid: true });
+            const suggestion = formatSlot(fixed);
+            push('ampm_typo', slot.raw, `Likely AM/PM typo in "${slot.raw}"`, suggestion);
+            effective.push(fixed);
+        } else if (!slot.valid) {
+            push('reversed_range', slot.raw, `Range ends before it starts: "${slot.raw}"`);
+        } else {
+            push('outside_campus_hours', slot.raw, `Range runs outside campus hours: "${slot.raw}"`);
+            effective.push(slot);
+        }
+    });
+
+    effective
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .forEach((slot, i, sorted) => {
+            const next = sorted[i + 1];
+            if (next && next.start < slot.end) {
+                push('overlap', `${slot.raw}, ${next.raw}`, `Overlapping slots: "${slot.raw}" and "${next.raw}"`);
+            }
+        });
+
+    return issues;
+}
+
+module.exports = {
+    WEEK_DAYS,
+    WORKING_DAYS,
+    canonicalDay,
+    parseSegment,
+    parseDayHours,
+    parseOfficeHours,
+    formatMinutes,
+    formatSlot,
+    suggestSlotFix,
+    usableSlot,
+    zonedDayTime,
+    findNextSlot,
+    describeDelay,
+    parseTimeExpression,
+    mergeSlots,
+    intersectSlots,
+    subtractSlots,
+    reminderTime,
+    minutesUntilWeekly,
+    auditDayHours
+};
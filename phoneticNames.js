@@ -0,0 +1,74 @@
+// Phonetic keys for Arabic names written in Latin letters.
+// "Mohammad", "Muhammad", "Mohammed" and "Mhmd" are one name, as are
+// "Alkhateeb", "Al-Khatib" and "Khateeb". Each word is reduced to the consonant
+// skeleton from arabicText.js after the article and common compound spellings
+// are folded, so the variants share a key while different names mostly don't.
+const { transliterationKey } = require('./arabicText');
+
+// Spellings the consonant skeleton can't join on its own: abbreviations and
+// Egyptian hard g for ج
+const WORD_VARIANTS = {
+    mhd: 'mohammad',
+    mohd: 'mohammad',
+    mohamd: 'mohammad',
+    mohmmad: 'mohammad',
+    gamal: 'jamal',
+    gamil: 'jamil',
+    gamila: 'jamila',
+    gehad: 'jihad',
+    ragab: 'rajab',
+    hagar: 'hajar',
+    nagy: 'naji',
+    nagi: 'naji',
+    naguib: 'najib',
+    hegazy: 'hijazi',
+    hegazi: 'hijazi'
+};
+
+const TITLES = ['dr', 'prof', 'eng', 'mr', 'mrs', 'ms'];
+const VOWEL_START = /^[aeiou]/;
+
+// Lowercase words with the article and compound forms folded:
+// "Abdel-Rahman" → ["abd", "rahman"], "Nour El-Din" / "Nooraldeen" → ["noor", "din"],
+// "Al-Khateeb" / "Alkhateeb" → ["khateeb"], "Ar-Rasheed" → ["rasheed"]
+function nameWords(name) {
+    const text = String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{Diacritic}/gu, '')
+        .replace(/['’`ʿʼ]/g, '')
+        // abd + article: abdel, abdul, abd al, abd-el ...
+        .replace(/\babd[\s-]*[aeiou]?l[\s-]*(?=[a-z]{2,})/g, 'abd ')
+        // ... + article + din: aldeen, eddin, el-din, ud-din
+        .replace(/(?:(?<=[a-z]{3})|[\s-]+)[aeu][ld][\s-]*d(?:ee|i|e)n\b/g, ' din')
+        // sun-letter article written out: ar-rasheed, as-sayed, ash-shami
+        .replace(/\b[ae](sh|th|dh|[tdrszn])[\s-]+(?=\1)/g, '');
+
+    return text
+        .split(/[^a-z]+/)
+        .filter(word => word && !TITLES.includes(word) && word !== 'al' && word !== 'el')
+        .map(word => WORD_VARIANTS[word] || word)
+        // Glued article: alkhateeb, elmasri, arrasheed (only when a real name is left)
+        .map(word => word.replace(/^[ae]l(?=[a-z]{4,})/, '').replace(/^[ae](sh|[tdrszn])(?=\1[a-z]{3,})/, ''));
+}
+
+// Phonetic key per word. A leading vowel is kept as "a" so Israa and Sara
+// stay apart while Omar/Umar and Eyad/Iyad still meet, and a w between vowels
+// is a consonant (Siwar, Sawareah) rather than a long vowel (Yousef, Louzi).
+function phoneticWords(name) {
+    return nameWords(name)
+        .map(word => (VOWEL_START.test(word) ? 'a' : '') +
+            word.split(/(?<=[aeiou])w(?=[aeiou])/).map(transliterationKey).join('w').replace(/(.)\1+/g, '$1'))
+        .filter(key => key.length > 0);
+}
+
+function phoneticKey(name) {
+    return phoneticWords(name).join(' ');
+}
+
+module.exports = {
+    WORD_VARIANTS,
+    nameWords,
+    phoneticWords,
+    phoneticKey
+};
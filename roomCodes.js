@@ -0,0 +1,107 @@
+// Room-code parsing driven by htuNameSystem.json.
+// The legend lists building codes (N, S, W, WS, IJC) and format_rules explains
+// the digits after them: "S-315" is building S, floor 3, room 15. Office values
+// in doctors.json are typed by hand, so "S315", "s - 315", "S–315" and
+// "SCI Building, 3rd Floor – Red Building, Office S-312" all need to resolve.
+
+// Any dash-like separator people type between building and number
+const SEPARATOR = '[\\s\\-–—‑_]*';
+
+// How many leading digits are the floor, read from format_rules
+// ("First digit = Floor number" → 1, "First two digits = Floor" → 2)
+function floorDigitsFromRules(rules) {
+    const text = Object.values(rules || {}).join(' ').toLowerCase();
+    const match = text.match(/first\s+(one|two|\d)?\s*digits?\s*=\s*floor/);
+    if (!match || !match[1]) return 1;
+    return match[1] === 'two' ? 2 : match[1] === 'one' ? 1 : Number(match[1]);
+}
+
+// Building codes longest first so "WS" wins over "W"
+function buildingCodes(nameSystem) {
+    return Object.keys((nameSystem && nameSystem.legend) || {}).sort((a, b) => b.length - a.length);
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse one office value. Always returns an object:
+//   { raw, valid, empty, code, building, buildingInfo, floor, room, basement, extracted, reason }
+// `code` is canonical ("S-315", "W-B05"); floor is 0 for ground and -1 for basement.
+// `extracted` is true when the code was found inside a longer description.
+// Unparsable values come back with valid: false and a human-readable reason.
+function parseRoomCode(raw, nameSystem) {
+    const text = raw === undefined || raw === null ? '' : String(raw).trim();
+    const result = {
+        raw: text, valid: false, empty: false, code: null, building: null, buildingInfo: null,
+        floor: null, room: null, basement: false, extracted: false, reason: null
+    };
+    if (!text || text.toUpperCase() === 'N/A') {
+        result.empty = true;
+        result.reason = 'no office given';
+        return result;
+    }
+
+    const codes = buildingCodes(nameSystem);
+    if (codes.length === 0) {
+        result.reason = 'no building legend available';
+        return result;
+    }
+
+    const alternation = codes.map(escapeRegex).join('|');
+    const whole = new RegExp(`^(${alternation})${SEPARATOR}(B)?${SEPARATOR}(\\d+)$`, 'i');
+    const embedded = new RegExp(`(?:^|[^A-Za-z])(${alternation})${SEPARATOR}(B)?(\\d{2,})(?!\\d)`, 'i');
+
+    let match = text.match(whole);
+    if (!match) {
+        match = text.match(embedded);
+        if (match) result.extracted = true;
+    }
+    if (!match) {
+        const prefix = text.split(/[\s\-–—‑_,]+/)[0].toUpperCase();
+        result.reason = codes.includes(prefix)
+            ? `"${text}" has no room number after ${prefix}`
+            : `unknown building in "${text}"`;
+        return result;
+    }
+
+    const building = codes.find(c => c.toUpperCase() === match[1].toUpperCase());
+    const basement = Boolean(match[2]);
+    const digits = match[3];
+    const floorDigits = basement ? 0 : floorDigitsFromRules(nameSystem.format_rules);
+
+    if (digits.length <= floorDigits) {
+        result.reason = `"${text}" is too short to hold a floor and room`;
+        return result;
+    }
+
+    Object.assign(result, {
+        valid: true,
+        building,
+        buildingInfo: nameSystem.legend[building],
+        basement,
+        floor: basement ? -1 : Number(digits.slice(0, floorDigits)),
+        room: digits.slice(floorDigits),
+        code: `${building}-${basement ? 'B' : ''}${digits}`
+    });
+    return result;
+}
+
+// Lowercase code with separators removed, for comparing user input: "S–315" → "s315"
+function compactRoomCode(text) {
+    return String(text || '').toLowerCase().replace(/[\s\-–—‑_]+/g, '');
+}
+
+// "Floor 3", "Ground floor" or "Basement"
+function describeFloor(parsed) {
+    if (!parsed || !parsed.valid) return '';
+    if (parsed.basement) return 'Basement';
+    return parsed.floor === 0 ? 'Ground floor' : `Floor ${parsed.floor}`;
+}
+
+module.exports = {
+    floorDigitsFromRules,
+    parseRoomCode,
+    compactRoomCode,
+    describeFloor
+};
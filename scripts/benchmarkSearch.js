@@ -0,0 +1,101 @@
+// Search benchmark on a synthetic faculty: `npm run bench` (or
+// `node scripts/benchmarkSearch.js 20000` for another size).
+// Times building the search index, indexed queries (cache cleared before each
+// one), repeated (cached) queries and, for scale, a linear scan: the current
+// scorers run over every doctor with each name profiled again per query. That
+// approximates what search cost before the index; it is not the old code.
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'benchmark';
+
+const { performance } = require('perf_hooks');
+const { HTUAssistant } = require('../utils');
+
+const DOCTOR_COUNT = Number(process.argv[2]) || 5000;
+const ROUNDS = 5;
+
+const FIRST_NAMES = ['Mohammad', 'Ahmad', 'Omar', 'Sara', 'Lina', 'Yazan', 'Rania', 'Khaled', 'Hana', 'Tareq', 'Dana', 'Fadi', 'Nour', 'Bashar', 'Layla', 'Samer', 'Rawan', 'Hamza', 'Aseel', 'Waleed'];
+const LAST_NAMES = ['Al-Khateeb', 'Haddad', 'Bataineh', 'Masadeh', 'Al-Omari', 'Qasem', 'Nasser', 'Al-Zoubi', 'Shami', 'Jaradat', 'Abu-Ghazaleh', 'Hijazi', 'Rawashdeh', 'Al-Jarrah', 'Saadeh', 'Karajeh', 'Tartir', 'Allouzi', 'Sabbah', 'Obeidat'];
+const SCHOOLS = ['School of Computing and Informatics', 'School of Engineering', 'School of Applied Sciences', 'School of Business', 'School of Architecture and Design', 'School of Health Sciences'];
+const DEPARTMENTS = ['Computer Science', 'Cyber Security', 'Data Science and AI', 'Electrical Engineering', 'Mechanical Engineering', 'Energy Engineering', 'Basic Sciences', 'Business Administration', 'Interior Design', 'Nursing'];
+const BUILDINGS = ['S', 'N', 'W', 'C'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'];
+
+// Deterministic so runs compare: a tiny linear congruential generator
+let seed = 42;
+function random() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+}
+const pick = list => list[Math.floor(random() * list.length)];
+
+function syntheticDoctors(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const first = pick(FIRST_NAMES);
+        const middle = pick(FIRST_NAMES);
+        const last = pick(LAST_NAMES);
+        const day = pick(DAYS);
+        return {
+            name: `${first} ${middle} ${last}`,
+            email: `${first}.${last}${i}@htu.edu.jo`.toLowerCase(),
+            school: pick(SCHOOLS),
+            department: pick(DEPARTMENTS),
+            office: `${pick(BUILDINGS)}-${1 + Math.floor(random() * 4)}${String(Math.floor(random() * 40)).padStart(2, '0')}`,
+            office_hours: { [day]: '10:00 AM – 11:30 AM' }
+        };
+    });
+}
+
+const QUERIES = [
+    'Mohammad', 'mohamad al khatib', 'Bataineh', 'batayneh', 'Sara Masadeh', 'محمد الخطيب', 'حداد',
+    'S-315', 'n 204', 'computer science', 'cyber', 'htu.edu.jo', 'Rawashdah', 'Yazen', 'Abu Ghazaleh',
+    'Hana Tartir', 'engineering', 'Obeidat', 'Lina', 'xyzzy'
+];
+
+function time(fn) {
+    const start = performance.now();
+    const value = fn();
+    return { ms: performance.now() - start, value };
+}
+
+function summary(label, times) {
+    const sorted = times.slice().sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, t) => sum + t, 0) / sorted.length;
+    const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+    console.log(`${label.padEnd(28)} mean ${mean.toFixed(2)} ms   p95 ${p95.toFixed(2)} ms   max ${sorted[sorted.length - 1].toFixed(2)} ms`);
+}
+
+function main() {
+    const assistant = new HTUAssistant();
+    assistant.doctors = syntheticDoctors(DOCTOR_COUNT);
+
+    const build = time(() => assistant.buildSearchIndex());
+    assistant.searchIndex = build.value;
+    console.log(`${DOCTOR_COUNT} doctors, ${assistant.clubs.length} clubs, ${QUERIES.length} queries x ${ROUNDS} rounds`);
+    console.log(`Index build                  ${build.ms.toFixed(1)} ms`);
+
+    const indexed = [];
+    const fullScan = [];
+    let candidates = 0;
+    for (let round = 0; round < ROUNDS; round++) {
+        QUERIES.forEach(query => {
+            assistant.searchIndex.cache.clear();
+            indexed.push(time(() => assistant.searchScored(query)).ms);
+
+            const index = assistant.searchIndex.doctors;
+            const q = assistant.buildSearchQuery(query);
+            const ids = assistant.searchCandidates(index, q, !q.queryIsRoom);
+            candidates += ids ? ids.size : index.entries.length;
+            // Every doctor scored, each name profiled again: the work the index saves
+            fullScan.push(time(() => index.entries.forEach(entry => assistant.scoreDoctor({ ...entry, name: assistant.textProfile(entry.doctor.name) }, q))).ms);
+        });
+    }
+
+    summary('Indexed search', indexed);
+    summary('Linear scan', fullScan);
+    console.log(`Candidates scored per query  ${(candidates / (ROUNDS * QUERIES.length)).toFixed(0)} of ${DOCTOR_COUNT}`);
+
+    QUERIES.forEach(query => assistant.searchScored(query));
+    const cached = QUERIES.map(query => time(() => assistant.searchScored(query)).ms);
+    summary('Repeated query (cached)', cached);
+}
+
+main();
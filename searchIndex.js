@@ -0,0 +1,107 @@
+// Inverted index behind HTUAssistant search.
+// Records are added once per data load with their words (kept in a map, a
+// prefix trie and as letter pairs for typo lookups) and longer texts
+// (split into character trigrams). Lookups return candidate record ids, so a
+// query only scores the records that can match it instead of normalizing and
+// fuzzy-comparing the whole dataset.
+
+// Overlapping character n-grams: ngrams("malek", 3) → mal, ale, lek
+function ngrams(text, size) {
+    const grams = new Set();
+    const s = String(text || '');
+    for (let i = 0; i + size <= s.length; i++) grams.add(s.slice(i, i + size));
+    return grams;
+}
+
+function trigrams(text) {
+    return ngrams(text, 3);
+}
+
+// Bigrams with their letters sorted, so swapped letters still share them:
+// "ahtar" and "athar" → ah, ht, at, ar
+function looseBigrams(word) {
+    return new Set([...ngrams(word, 2)].map(gram => (gram[0] <= gram[1] ? gram : gram[1] + gram[0])));
+}
+
+function addPosting(map, key, id) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(id);
+}
+
+class SearchIndex {
+    constructor() {
+        this.words = new Map();
+        this.trie = { ids: new Set(), children: new Map() };
+        this.grams = new Map();
+        this.wordGrams = new Map();
+    }
+
+    // words: exact tokens for word/prefix lookups; texts: strings for substring
+    // and similarity lookups
+    add(id, { words = [], texts = [] }) {
+        words.filter(Boolean).forEach(word => {
+            addPosting(this.words, word, id);
+            let node = this.trie;
+            for (const ch of word) {
+                if (!node.children.has(ch)) node.children.set(ch, { ids: new Set(), children: new Map() });
+                node = node.children.get(ch);
+                node.ids.add(id);
+            }
+            looseBigrams(word).forEach(gram => addPosting(this.wordGrams, gram, id));
+        });
+        texts.forEach(text => trigrams(text).forEach(gram => addPosting(this.grams, gram, id)));
+        return this;
+    }
+
+    withWord(word) {
+        return this.words.get(word) || new Set();
+    }
+
+    // Records with a word starting with `prefix`
+    withPrefix(prefix) {
+        let node = this.trie;
+        for (const ch of String(prefix || '')) {
+            node = node.children.get(ch);
+            if (!node) return new Set();
+        }
+        return node.ids;
+    }
+
+    // Records whose texts hold every trigram of `text`: a superset of the
+    // records containing it, to be checked by the caller. Null when `text` is
+    // too short to narrow anything down.
+    containing(text) {
+        const grams = [...trigrams(text)];
+        if (grams.length === 0) return null;
+        const postings = grams.map(gram => this.grams.get(gram) || new Set()).sort((a, b) => a.size - b.size);
+        let result = new Set(postings[0]);
+        for (let i = 1; i < postings.length && result.size > 0; i++) {
+            result = new Set([...result].filter(id => postings[i].has(id)));
+        }
+        return result;
+    }
+
+    // Records with a word sharing at least `share` (0-1) of the loose bigrams of
+    // one of `words`; candidates for typo matching ("ahed", "ahmde" → "ahmed"). Null when a
+    // word is too short to narrow anything down.
+    similar(words, share) {
+        const ids = new Set();
+        for (const word of words) {
+            const grams = [...looseBigrams(word)];
+            if (grams.length === 0) return null;
+            const counts = new Map();
+            grams.forEach(gram => (this.wordGrams.get(gram) || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1)));
+            const needed = Math.max(1, Math.ceil(grams.length * share));
+            counts.forEach((count, id) => {
+                if (count >= needed) ids.add(id);
+            });
+        }
+        return ids;
+    }
+}
+
+module.exports = {
+    SearchIndex,
+    ngrams,
+    trigrams
+};
@@ -0,0 +1,120 @@
+// Versioned copies of the data files, taken after each successful reload so a
+// bad edit can be rolled back. Each snapshot is a folder under the snapshots
+// directory holding the raw files plus meta.json ({ id, createdAt, source, doctors, clubs, signature }).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const META_FILE = 'meta.json';
+
+// Hash of the raw file contents; identical data gives the same signature
+function datasetSignature(files) {
+    const hash = crypto.createHash('sha1');
+    Object.keys(files).sort().forEach(name => {
+        hash.update(name);
+        hash.update(fs.existsSync(files[name]) ? fs.readFileSync(files[name]) : '');
+    });
+    return hash.digest('hex');
+}
+
+// Snapshot ids sort chronologically: 20261019-141530, then -2, -3 within the same second
+function buildSnapshotId(dir, date) {
+    const base = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    let id = base;
+    for (let n = 2; fs.existsSync(path.join(dir, id)); n++) id = `${base}-${n}`;
+    return id;
+}
+
+// Snapshots newest first
+function listSnapshots(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .map(id => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(dir, id, META_FILE), 'utf8'));
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+}
+
+// Delete everything beyond the newest `keep` snapshots
+function pruneSnapshots(dir, keep) {
+    const removed = listSnapshots(dir).slice(Math.max(keep, 1));
+    removed.forEach(meta => fs.rmSync(path.join(dir, meta.id), { recursive: true, force: true }));
+    return removed.map(meta => meta.id);
+}
+
+// Copy `files` ({ name: sourcePath }) into a new snapshot. Skipped (returns null)
+// when the newest snapshot already holds identical data.
+function createSnapshot(dir, files, info = {}, keep = 20, now = new Date()) {
+    const signature = datasetSignature(files);
+    const latest = listSnapshots(dir)[0];
+    if (latest && latest.signature === signature) return null;
+
+    fs.mkdirSync(dir, { recursive: true });
+    const id = buildSnapshotId(dir, now);
+    const target = path.join(dir, id);
+    fs.mkdirSync(target);
+    Object.entries(files).forEach(([name, source]) => {
+        if (fs.existsSync(source)) fs.copyFileSync(source, path.join(target, name));
+    });
+    const meta = { id, createdAt: now.toISOString(), signature, ...info };
+    fs.writeFileSync(path.join(target, META_FILE), JSON.stringify(meta, null, 2), 'utf8');
+    pruneSnapshots(dir, keep);
+    return meta;
+}
+
+// Write a snapshot's files back over `files` ({ name: targetPath })
+function restoreSnapshot(dir, id, files) {
+    if (!/^[\w-]+$/.test(id || '')) throw new Error(`Invalid snapshot id "${id}"`);
+    const source = path.join(dir, id);
+    if (!fs.existsSync(path.join(source, META_FILE))) throw new Error(`Snapshot "${id}" not found`);
+
+    const restored = [];
+    Object.entries(files).forEach(([name, target]) => {
+        const snapshotFile = path.join(source, name);
+        if (!fs.existsSync(snapshotFile)) return;
+        replaceFile(target, fs.readFileSync(snapshotFile));
+        restored.push(name);
+    });
+    return restored;
+}
+
+// Current contents of `files` ({ name: path }), to put back with writeFiles()
+// if restored data turns out to be unusable. Missing files are null.
+function readFiles(files) {
+    const contents = {};
+    Object.entries(files).forEach(([name, file]) => {
+        contents[name] = fs.existsSync(file) ? fs.readFileSync(file) : null;
+    });
+    return contents;
+}
+
+// Write contents from readFiles() back over `files`; files that did not exist are removed
+function writeFiles(files, contents) {
+    Object.entries(files).forEach(([name, file]) => {
+        if (!(name in contents)) return;
+        if (contents[name] === null) fs.rmSync(file, { force: true });
+        else replaceFile(file, contents[name]);
+    });
+}
+
+// Write to a temp file and rename, so readers never see half a file
+function replaceFile(target, data) {
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, target);
+}
+
+module.exports = {
+    datasetSignature,
+    listSnapshots,
+    pruneSnapshots,
+    createSnapshot,
+    restoreSnapshot,
+    readFiles,
+    writeFiles
+};
@@ -0,0 +1,84 @@
+// Synonyms and abbreviations for search.
+// synonyms.json maps what students type ("cs", "dsai", "red building",
+// "علوم الحاسوب") to the words the data uses ("Computer Science"). Keys are
+// compared normalized and as whole words, so "cs" expands "cs doctors" but not
+// "physics"; admins add more with /synonym, stored next to the other bot data.
+
+// Words that only say what kind of result is wanted ("cs doctors", "cyber
+// department"); dropped once a synonym has named what to search for
+const FILLER_WORDS = [
+    'doctor', 'doctors', 'dr', 'drs', 'professor', 'professors', 'prof', 'staff', 'faculty',
+    'teacher', 'teachers', 'instructor', 'instructors', 'lecturer', 'lecturers', 'people', 'members',
+    'department', 'dept', 'major', 'دكتور', 'دكاتره', 'الدكاتره', 'اساتذه', 'قسم'
+];
+
+// { key: expansion } objects, later ones winning → Map of normalized key → expansion
+function buildSynonymTable(sources, normalize) {
+    const table = new Map();
+    sources.forEach(source => {
+        Object.entries(source || {}).forEach(([key, expansion]) => {
+            const normKey = normalize(key);
+            if (normKey && typeof expansion === 'string' && expansion.trim()) table.set(normKey, expansion.trim());
+        });
+    });
+    return table;
+}
+
+// Replace every synonym found in a normalized query, longest phrase first, and
+// drop filler words: "cs doctors" → "Computer Science". Null when nothing was replaced.
+function expandQuery(normQuery, table) {
+    if (!normQuery || !table || table.size === 0) return null;
+    const longest = Math.max(...[...table.keys()].map(key => key.split(' ').length));
+    const tokens = normQuery.split(' ').filter(Boolean);
+    const out = [];
+    let replaced = false;
+    for (let i = 0; i < tokens.length;) {
+        let length = Math.min(longest, tokens.length - i);
+        while (length > 0 && !table.has(tokens.slice(i, i + length).join(' '))) length--;
+        const expansion = length > 0 ? table.get(tokens.slice(i, i + length).join(' ')) : null;
+        const words = expansion ? expansion.toLowerCase().split(/\s+/) : [];
+        // "computer science" stays as it is although "computer" is a synonym of it
+        if (expansion && tokens.slice(i, i + words.length).join(' ') === words.join(' ')) {
+            out.push(...words);
+            i += words.length;
+        } else if (expansion) {
+            out.push(expansion);
+            replaced = true;
+            i += length;
+        } else {
+            out.push(tokens[i]);
+            i++;
+        }
+    }
+    return replaced ? out.filter(word => !FILLER_WORDS.includes(word)).join(' ') : null;
+}
+
+// Words of a command argument list, keeping "quoted phrases" (straight or curly quotes) together
+function splitArguments(text) {
+    const args = [];
+    const pattern = /["“”]([^"“”]*)["“”]|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        args.push((match[1] !== undefined ? match[1] : match[2]).trim());
+    }
+    return args;
+}
+
+// "/synonym add cs "Computer Science"" → { action: 'add', term: 'cs', expansion: 'Computer Science' }
+// "/synonym remove cs" → { action: 'remove', term: 'cs' }; "/synonym" or "/synonym list" → { action: 'list' }.
+// Null for anything else.
+function parseSynonymCommand(text) {
+    const match = String(text || '').match(/^\/synonyms?\b\s*([\s\S]*)$/);
+    if (!match) return null;
+    const [action = 'list', ...args] = splitArguments(match[1]);
+    if (action === 'list' && args.length === 0) return { action };
+    if (action === 'add' && args.length === 2 && args[0] && args[1]) return { action, term: args[0], expansion: args[1] };
+    if (action === 'remove' && args.length === 1 && args[0]) return { action, term: args[0] };
+    return null;
+}
+
+module.exports = {
+    buildSynonymTable,
+    expandQuery,
+    parseSynonymCommand
+};
@@ -1,6 +1,42 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
+const {
+    parseOfficeHours,
+    auditDayHours,
+    usableSlot,
+    zonedDayTime,
+    findNextSlot,
+    describeDelay,
+    parseTimeExpression,
+    intersectSlots,
+    subtractSlots,
+    WORKING_DAYS,
+    formatMinutes,
+    formatSlot,
+    canonicalDay,
+    WEEK_DAYS
+} = require('./officeHours');
+const { parseRoomCode, compactRoomCode, describeFloor } = require('./roomCodes');
+const { findRoute } = require('./campusRoutes');
+const { getFloorLayout, layoutHasRoom, renderFloorSvg } = require('./floorMaps');
+const { hasArabic, normalizeArabic, transliterationKey, vowelledKey } = require('./arabicText');
+const { phoneticWords } = require('./phoneticNames');
+const { SearchIndex } = require('./searchIndex');
+const { buildSynonymTable, expandQuery } = require('./synonyms');
+const { FIELDS, parseFieldQuery, wildcardPattern } = require('./fieldQuery');
+
+// Fuzzy name matches are only looked for among names with a word sharing this
+// share of a query word's bigrams. This deliberately drops the weakest fuzzy
+// hits a scan of every record would score (about 56-62 points: "hnaa" no longer
+// brings up "Sama Hamza", "tasnim" no longer "Takaful team"); every other kind
+// of match is still found.
+const FUZZY_BIGRAM_SHARE = 0.4;
+// Recent search results kept until the next reload (one message can search the same text several times)
+const SEARCH_CACHE_SIZE = 200;
+// A synonym says what the query meant, so its matches rank above the letters of
+// the query turning up inside names and emails ("ai" in "Suhaib")
+const SYNONYM_BONUS = 50;
 
 // Ensure directory exists for a given file path
 function ensureDirForFile(filePath) {
@@ -16,33 +52,186 @@ function escapeMarkdown(text) {
     return String(text).replace(/([\\`*_\[\]()~>#+\-=|{}.!])/g, '\\$1');
 }
 
+// Escaper for legacy Markdown parse_mode, where only _ * ` [ start markup.
+// Not for text inside *bold* or [link] markup, which legacy Markdown prints as is.
+function escapeLegacyMarkdown(text) {
+    if (!text && text !== 0) return '';
+    return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+// URL-safe slug for deep links: "Dr. Malek Al-Louzi" → "malek-al-louzi".
+// Kept to 48 chars so "doctor_<slug>" fits Telegram's 64-char start payload.
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/^(dr|prof|eng)\.?\s+/, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 48)
+        .replace(/-+$/, '');
+}
+
+// Great-circle distance in metres between two { lat, lng } points
+function haversineMeters(a, b) {
+    const toRad = deg => (deg * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
 class HTUAssistant {
     constructor() {
         this.doctors = this.loadDoctors();
         this.departments = this.extractDepartments();
         this.clubs = this.loadClubs();
         this.nameSystem = this.loadNameSystem();
+        this.campusGraph = this.loadCampusGraph();
+        this.floorLayouts = this.loadFloorLayouts();
+        this.schedules = this.buildSchedules();
+        this.slugs = this.buildSlugs();
+        this.customSynonyms = this.readSynonymsFile(config.SYNONYMS_PATH);
+        this.synonyms = this.buildSynonyms();
+        this.searchIndex = this.buildSearchIndex();
     }
 
-    // Reload all data files and rebuild derived indexes
+    // Reload all data files and rebuild derived indexes. The new data is read
+    // strictly and validated before it replaces anything, so a half-saved or
+    // broken file keeps the last known good dataset in place.
+    // Returns { ok, doctors, clubs, diff, doctorChanges } or { ok: false, error, errors }.
     reload() {
+        let next;
         try {
-            this.doctors = this.loadDoctors();
-            this.departments = this.extractDepartments();
-            this.clubs = this.loadClubs();
-            this.nameSystem = this.loadNameSystem();
-            console.log(`🔁 HTUAssistant reloaded: ${this.doctors.length} doctors, ${this.clubs.length} clubs`);
-            return { ok: true, doctors: this.doctors.length, clubs: this.clubs.length };
+            next = {
+                doctors: this.readDoctorsFile(),
+                clubs: this.cleanClubs(this.readJsonFile(this.getDataPaths().clubs)),
+                nameSystem: this.readJsonFile(this.getDataPaths().nameSystem)
+            };
         } catch (e) {
-            console.error('Error during HTUAssistant.reload()', e);
-            return { ok: false, error: String(e) };
+            console.error('Error during HTUAssistant.reload(); keeping previous data', e);
+            return { ok: false, error: e.message || String(e), errors: [e.message || String(e)] };
         }
+
+        const errors = this.validateDataset(next);
+        if (errors.length > 0) {
+            console.error('HTUAssistant.reload() rejected new data; keeping previous data:', errors);
+            return { ok: false, error: errors.join('; '), errors };
+        }
+
+        const previous = { doctors: this.doctors, clubs: this.clubs };
+        this.doctors = next.doctors;
+        this.departments = this.extractDepartments();
+        this.clubs = next.clubs;
+        this.nameSystem = next.nameSystem;
+        this.campusGraph = this.loadCampusGraph();
+        this.floorLayouts = this.loadFloorLayouts();
+        this.schedules = this.buildSchedules();
+        this.slugs = this.buildSlugs();
+        this.synonyms = this.buildSynonyms();
+        this.searchIndex = this.buildSearchIndex();
+        console.log(`🔁 HTUAssistant reloaded: ${this.doctors.length} doctors, ${this.clubs.length} clubs`);
+        return {
+            ok: true,
+            doctors: this.doctors.length,
+            clubs: this.clubs.length,
+            diff: this.diffDatasets(previous, next),
+            doctorChanges: this.diffDoctorDetails(previous.doctors, this.doctors)
+        };
+    }
+
+    // Problems that make a freshly read dataset unsafe to swap in
+    validateDataset({ doctors, clubs, nameSystem }) {
+        const errors = [];
+        if (!Array.isArray(doctors)) {
+            errors.push('doctors data is not a list');
+        } else if (doctors.length === 0) {
+            errors.push('doctors data is empty');
+        } else {
+            const unnamed = doctors.filter(d => !d || typeof d !== 'object' || !(d.name || '').toString().trim());
+            if (unnamed.length > 0) errors.push(`${unnamed.length} doctor entries have no name`);
+        }
+        if (!Array.isArray(clubs) || clubs.length === 0) errors.push('clubs data is empty');
+        if (!nameSystem || typeof nameSystem !== 'object' || Array.isArray(nameSystem)) {
+            errors.push('name system data is not an object');
+        }
+        return errors;
+    }
+
+    // Added / removed / changed records between two lists. Records are matched by
+    // `keyOf` first and by `fallbackOf` second, so a renamed key still counts as a change.
+    diffRecords(before, after, keyOf, fallbackOf, nameOf) {
+        const afterByKey = new Map();
+        const afterByFallback = new Map();
+        (after || []).forEach(r => {
+            afterByKey.set(keyOf(r), r);
+            afterByFallback.set(fallbackOf(r), r);
+        });
+
+        const matched = new Set();
+        const removed = [];
+        const changed = [];
+        (before || []).forEach(old => {
+            const updated = afterByKey.get(keyOf(old)) || afterByFallback.get(fallbackOf(old));
+            if (!updated || matched.has(updated)) {
+                removed.push(nameOf(old));
+                return;
+            }
+            matched.add(updated);
+            const fields = [...new Set(Object.keys(old).concat(Object.keys(updated)))]
+                .filter(field => JSON.stringify(old[field]) !== JSON.stringify(updated[field]));
+            if (fields.length > 0) changed.push({ name: nameOf(updated), fields });
+        });
+        const added = (after || []).filter(r => !matched.has(r)).map(nameOf);
+        return { added, removed, changed };
+    }
+
+    diffDatasets(previous, next) {
+        const clubName = c => (c['Name of it '] || '').toString().trim();
+        return {
+            doctors: this.diffRecords(
+                previous.doctors, next.doctors,
+                d => this.getDoctorKey(d), d => this.normalize(d.name || ''), d => d.name
+            ),
+            clubs: this.diffRecords(
+                previous.clubs, next.clubs,
+                c => this.normalize(clubName(c)), c => this.normalize(clubName(c)), clubName
+            )
+        };
+    }
+
+    // Plain-text reload report for admins (names may contain Markdown characters)
+    formatReloadReport(result, source = 'manual') {
+        const origin = { auto: 'Auto-reload', rollback: 'Rollback' }[source] || 'Reload';
+        if (!result.ok) {
+            let message = `⚠️ ${origin} rejected — keeping the previous data (${this.doctors.length} doctors, ${this.clubs.length} clubs).\n\n`;
+            (result.errors || [result.error]).forEach(err => { message += `• ${err}\n`; });
+            return message.trim();
+        }
+
+        let message = `✅ ${origin} complete: ${result.doctors} doctors, ${result.clubs} clubs\n`;
+        const section = (label, diff) => {
+            if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+                return `\n${label}: no changes\n`;
+            }
+            let text = `\n${label}:\n`;
+            diff.added.forEach(name => { text += `  ➕ ${name}\n`; });
+            diff.removed.forEach(name => { text += `  ➖ ${name}\n`; });
+            diff.changed.forEach(c => { text += `  ✏️ ${c.name} (${c.fields.join(', ')})\n`; });
+            return text;
+        };
+        message += section('👨‍🏫 Doctors', result.diff.doctors);
+        message += section('🎯 Clubs', result.diff.clubs);
+        return message.trim();
     }
 
     // Normalize text: lowercase, remove diacritics, collapse spaces, remove punctuation
     normalize(text) {
         if (!text && text !== 0) return '';
         let s = String(text).toLowerCase().trim();
+        // Fold Arabic spelling variants (hamza forms, ة, ى, tatweel, harakat)
+        s = normalizeArabic(s);
         // Remove diacritics
         s = s.normalize('NFD').replace(/\p{Diacritic}/gu, '');
         // Replace punctuation with space, collapse whitespace
@@ -97,8 +286,11 @@ class HTUAssistant {
 
     // Token-aware similarity: compare tokens then average, better for multi-word names
     tokenSimilarity(a, b) {
-        const na = this.normalize(a).split(' ').filter(Boolean);
-        const nb = this.normalize(b).split(' ').filter(Boolean);
+        return this.tokenListSimilarity(this.normalize(a).split(' ').filter(Boolean), this.normalize(b).split(' ').filter(Boolean));
+    }
+
+    // tokenSimilarity() for already normalized tokens
+    tokenListSimilarity(na, nb) {
         if (na.length === 0 || nb.length === 0) return 0;
 
         // For each token in na find best match in nb
@@ -121,32 +313,49 @@ class HTUAssistant {
         return arr[Math.floor(Math.random() * arr.length)];
     }
 
-    loadDoctors() {
-        try {
-            const configuredPath = config.DOCTORS_DATA_PATH;
-            const candidatePaths = [];
+    // Data files in the order loaders try them; the doctors entry is the first
+    // existing candidate for DOCTORS_DATA_PATH so watchers follow the same file
+    getDataPaths() {
+        const configuredPath = config.DOCTORS_DATA_PATH;
+        const candidatePaths = [
             // 1) Respect absolute path as-is, otherwise resolve relative to this file
-            candidatePaths.push(
-                path.isAbsolute(configuredPath)
-                    ? configuredPath
-                    : path.join(__dirname, configuredPath)
-            );
+            path.isAbsolute(configuredPath) ? configuredPath : path.join(__dirname, configuredPath),
             // 2) Fallback to local doctors.json beside the bot files
-            candidatePaths.push(path.join(__dirname, 'doctors.json'));
+            path.join(__dirname, 'doctors.json'),
             // 3) Fallback to process cwd
-            candidatePaths.push(path.join(process.cwd(), 'doctors.json'));
+            path.join(process.cwd(), 'doctors.json')
+        ];
+        return {
+            doctors: candidatePaths.find(candidate => fs.existsSync(candidate)) || null,
+            doctorCandidates: candidatePaths,
+            clubs: path.join(__dirname, 'htuClubs.json'),
+            nameSystem: path.join(__dirname, 'htuNameSystem.json'),
+            campusGraph: path.join(__dirname, 'campusGraph.json'),
+            floorLayouts: path.join(__dirname, 'floorLayouts.json'),
+            synonyms: path.join(__dirname, 'synonyms.json')
+        };
+    }
 
-            for (const candidate of candidatePaths) {
-                try {
-                    if (fs.existsSync(candidate)) {
-                        const data = fs.readFileSync(candidate, 'utf8');
-                        return JSON.parse(data);
-                    }
-                } catch (innerError) {
-                    // Try next candidate
-                }
-            }
-            throw new Error(`Doctors data file not found. Tried: ${candidatePaths.join(', ')}`);
+    // Read and parse a JSON file, throwing with the file name on failure
+    readJsonFile(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Could not read ${path.basename(filePath)}: ${e.message}`);
+        }
+    }
+
+    readDoctorsFile() {
+        const paths = this.getDataPaths();
+        if (!paths.doctors) {
+            throw new Error(`Doctors data file not found. Tried: ${paths.doctorCandidates.join(', ')}`);
+        }
+        return this.readJsonFile(paths.doctors);
+    }
+
+    loadDoctors() {
+        try {
+            return this.readDoctorsFile();
         } catch (error) {
             console.error('Error loading doctors data:', error);
             return [];
@@ -155,62 +364,161 @@ class HTUAssistant {
 
     loadClubs() {
         try {
-            const clubsPath = path.join(__dirname, 'htuClubs.json');
-            const data = fs.readFileSync(clubsPath, 'utf8');
-            const rawClubs = JSON.parse(data);
-            
-            // Validate and clean the data
-            const validClubs = [];
-            const seenNames = new Set();
-            
-            rawClubs.forEach((club, index) => {
-                // Check if club has required fields
-                if (!club['Club/ Volunteer team'] || !club['Name of it ']) {
-                    console.warn(`Skipping invalid club at index ${index}: missing required fields`);
-                    return;
-                }
-                
-                // Check for duplicates based on name
-                    // Normalize club name aggressively: trim, collapse whitespace
-                    const rawName = club['Name of it '] || '';
-                    const clubName = rawName.toString().trim().replace(/\s+/g, ' ');
-                if (seenNames.has(clubName)) {
-                    console.warn(`Skipping duplicate club: "${clubName}" at index ${index}`);
-                    return;
-                }
-                
-                // Clean and validate data
-                const cleanClub = {
-                        'Club/ Volunteer team': club['Club/ Volunteer team'] ? club['Club/ Volunteer team'].toString().trim() : 'N/A',
-                        'Name of it ': clubName,
-                        'The email': club['The email'] ? club['The email'].toString().trim() : 'N/A',
-                        'Instagram account link': club['Instagram account link'] ? club['Instagram account link'].toString().trim() : 'N/A',
-                        'What is yours club or volunteer team about ?': club['What is yours club or volunteer team about ?'] ? club['What is yours club or volunteer team about ?'].toString().trim() : ''
-                };
-                
-                seenNames.add(clubName);
-                validClubs.push(cleanClub);
-            });
-            
-            console.log(`Loaded ${validClubs.length} valid clubs (filtered ${rawClubs.length - validClubs.length} invalid/duplicate entries)`);
-            return validClubs;
+            return this.cleanClubs(this.readJsonFile(this.getDataPaths().clubs));
         } catch (error) {
             console.error('Error loading clubs data:', error);
             return [];
         }
     }
 
+    // Validate and clean raw club entries: drop entries missing required
+    // fields and duplicate names, trim every value
+    cleanClubs(rawClubs) {
+        if (!Array.isArray(rawClubs)) return [];
+        const validClubs = [];
+        const seenNames = new Set();
+
+        rawClubs.forEach((club, index) => {
+            // Check if club has required fields
+            if (!club || !club['Club/ Volunteer team'] || !club['Name of it ']) {
+                console.warn(`Skipping invalid club at index ${index}: missing required fields`);
+                return;
+            }
+
+            // Check for duplicates based on name
+            // Normalize club name aggressively: trim, collapse whitespace
+            const rawName = club['Name of it '] || '';
+            const clubName = rawName.toString().trim().replace(/\s+/g, ' ');
+            if (seenNames.has(clubName)) {
+                console.warn(`Skipping duplicate club: "${clubName}" at index ${index}`);
+                return;
+            }
+
+            // Clean and validate data
+            const cleanClub = {
+                'Club/ Volunteer team': club['Club/ Volunteer team'] ? club['Club/ Volunteer team'].toString().trim() : 'N/A',
+                'Name of it ': clubName,
+                'The email': club['The email'] ? club['The email'].toString().trim() : 'N/A',
+                'Instagram account link': club['Instagram account link'] ? club['Instagram account link'].toString().trim() : 'N/A',
+                'What is yours club or volunteer team about ?': club['What is yours club or volunteer team about ?'] ? club['What is yours club or volunteer team about ?'].toString().trim() : ''
+            };
+
+            seenNames.add(clubName);
+            validClubs.push(cleanClub);
+        });
+
+        console.log(`Loaded ${validClubs.length} valid clubs (filtered ${rawClubs.length - validClubs.length} invalid/duplicate entries)`);
+        return validClubs;
+    }
+
     loadNameSystem() {
         try {
-            const nameSystemPath = path.join(__dirname, 'htuNameSystem.json');
-            const data = fs.readFileSync(nameSystemPath, 'utf8');
-            return JSON.parse(data);
+            return this.readJsonFile(this.getDataPaths().nameSystem);
         } catch (error) {
             console.error('Error loading name system data:', error);
             return {};
         }
     }
 
+    // Walking graph for /route; optional, so a missing file only disables routing
+    loadCampusGraph() {
+        try {
+            return this.readJsonFile(this.getDataPaths().campusGraph);
+        } catch (error) {
+            console.error('Error loading campus graph:', error);
+            return {};
+        }
+    }
+
+    // Floor plans for "Show on map"; optional like the campus graph
+    loadFloorLayouts() {
+        try {
+            return this.readJsonFile(this.getDataPaths().floorLayouts);
+        } catch (error) {
+            console.error('Error loading floor layouts:', error);
+            return {};
+        }
+    }
+
+    // Synonyms are optional too: a missing or broken file only logs
+    readSynonymsFile(filePath) {
+        try {
+            return fs.existsSync(filePath) ? this.readJsonFile(filePath) : {};
+        } catch (error) {
+            console.error('Error loading synonyms:', error);
+            return {};
+        }
+    }
+
+    // synonyms.json plus the entries admins added with /synonym (which win)
+    buildSynonyms() {
+        const bundled = this.readSynonymsFile(this.getDataPaths().synonyms);
+        return buildSynonymTable([bundled.synonyms, this.customSynonyms], text => this.normalize(text));
+    }
+
+    // Every synonym as written: [{ term, expansion, custom }] for /synonym list
+    listSynonyms() {
+        const entries = new Map();
+        const bundled = this.readSynonymsFile(this.getDataPaths().synonyms).synonyms || {};
+        [[bundled, false], [this.customSynonyms || {}, true]].forEach(([source, custom]) => {
+            Object.entries(source).forEach(([term, expansion]) => {
+                if (typeof expansion === 'string') entries.set(this.normalize(term), { term, expansion: expansion.trim(), custom });
+            });
+        });
+        return Array.from(entries.values());
+    }
+
+    // Add or replace an admin synonym. Returns { ok, term, expansion, replaced }
+    // or { ok: false, error }; the caller persists `customSynonyms`.
+    addSynonym(term, expansion) {
+        const key = this.normalize(term);
+        const value = String(expansion || '').trim();
+        if (!key || !value) return { ok: false, error: 'Both the term and what it means are needed.' };
+        if (key.length > 60 || value.length > 100) return { ok: false, error: 'Synonyms are limited to 60 characters and expansions to 100.' };
+        if (key === this.normalize(value)) return { ok: false, error: 'A term can\'t be a synonym of itself.' };
+
+        const custom = {};
+        Object.entries(this.customSynonyms || {}).forEach(([existing, text]) => {
+            if (this.normalize(existing) !== key) custom[existing] = text;
+        });
+        custom[String(term).trim()] = value;
+        const replaced = (this.synonyms || new Map()).get(key) || null;
+        this.customSynonyms = custom;
+        this.applySynonyms();
+        return { ok: true, term: String(term).trim(), expansion: value, replaced };
+    }
+
+    // Remove an admin synonym; entries from synonyms.json are edited in the file.
+    // Returns true when one was removed.
+    removeSynonym(term) {
+        const key = this.normalize(term);
+        const custom = {};
+        Object.entries(this.customSynonyms || {}).forEach(([existing, text]) => {
+            if (this.normalize(existing) !== key) custom[existing] = text;
+        });
+        if (Object.keys(custom).length === Object.keys(this.customSynonyms || {}).length) return false;
+        this.customSynonyms = custom;
+        this.applySynonyms();
+        return true;
+    }
+
+    applySynonyms() {
+        this.synonyms = this.buildSynonyms();
+        // Cached results were searched with the old synonyms
+        if (this.searchIndex) this.searchIndex.cache.clear();
+    }
+
+    // The expansion of a whole query ("dsai" → "Data Science and Artificial Intelligence") or null
+    synonymFor(text) {
+        return (this.synonyms && this.synonyms.get(this.normalize(text))) || null;
+    }
+
+    // A query as typed plus, when it holds synonyms, with them replaced
+    queryVariants(query) {
+        const expanded = expandQuery(this.normalize(query), this.synonyms);
+        return [{ text: query, synonym: false }].concat(expanded ? [{ text: expanded, synonym: true }] : []);
+    }
+
     extractDepartments() {
         const departments = new Set();
         this.doctors.forEach(doctor => {
@@ -221,41 +529,563 @@ class HTUAssistant {
         return Array.from(departments).sort();
     }
 
+    // Parse every doctor's free-text office hours once per load so handlers
+    // can work with typed slots instead of re-reading the raw strings
+    buildSchedules() {
+        const schedules = new Map();
+        this.doctors.forEach(doctor => {
+            schedules.set(doctor, parseOfficeHours(doctor.office_hours));
+        });
+        return schedules;
+    }
+
+    // Structured office hours for a doctor: [{ day, dayIndex, raw, slots, notes }]
+    // Each slot is { day, dayIndex, start, end, location, modality, inferred, valid, raw }
+    // with start/end in minutes since midnight.
+    getOfficeSchedule(doctor) {
+        if (!doctor) return [];
+        if (this.schedules && this.schedules.has(doctor)) return this.schedules.get(doctor);
+        return parseOfficeHours(doctor.office_hours);
+    }
+
+    // Flat list of all parsed slots for a doctor, in week order
+    getOfficeSlots(doctor) {
+        return this.getOfficeSchedule(doctor).reduce((all, day) => all.concat(day.slots), []);
+    }
+
+    // Slots that availability features can rely on: reversed/AM-PM-typo ranges
+    // are corrected when the fix is obvious and dropped otherwise
+    getUsableSlots(doctor) {
+        return this.getOfficeSlots(doctor).map(usableSlot).filter(Boolean);
+    }
+
+    // Doctors whose office hours cover `now` (campus time zone), optionally
+    // filtered by department and/or building code. Returns [{ doctor, slot, minutesLeft }].
+    getAvailableNow(options = {}, now = new Date()) {
+        const { day, minutes } = zonedDayTime(now, config.TIMEZONE);
+        const dept = (options.department || '').toLowerCase().trim();
+        const available = [];
+
+        this.doctors.forEach(doctor => {
+            if (dept && !(doctor.department || '').toLowerCase().includes(dept)) return;
+            if (options.building && this.parseOffice(doctor.office).building !== options.building) return;
+            const slot = this.getUsableSlots(doctor)
+                .find(s => s.day === day && s.start <= minutes && minutes < s.end);
+            if (slot) available.push({ doctor, slot, minutesLeft: slot.end - minutes });
+        });
+
+        return available.sort((a, b) => b.minutesLeft - a.minutesLeft);
+    }
+
+    // Stable key used to reference a doctor from callbacks and persisted data
+    getDoctorKey(doctor) {
+        if (!doctor) return '';
+        return (doctor.email || doctor.name || '').toString().trim().toLowerCase();
+    }
+
+    findDoctorByKey(key) {
+        if (!key) return null;
+        return this.doctors.find(d => this.getDoctorKey(d) === key) || null;
+    }
+
+    // Deep-link slugs for every doctor and club ({ doctors, clubs }, each with
+    // bySlug and byRecord maps). Slugs come from names, so they survive reloads
+    // and reordering; a clash adds the email's local part (doctors) or the club
+    // type, then a number.
+    buildSlugs() {
+        const assign = (records, fallback, nameOf, extraOf) => {
+            const bySlug = new Map();
+            const byRecord = new Map();
+            records.forEach(record => {
+                const base = slugify(nameOf(record)) || slugify(extraOf(record)) || fallback;
+                let slug = base;
+                if (bySlug.has(slug)) slug = slugify(`${base} ${extraOf(record)}`);
+                for (let n = 2; bySlug.has(slug); n++) slug = `${base}-${n}`;
+                bySlug.set(slug, record);
+                byRecord.set(record, slug);
+            });
+            return { bySlug, byRecord };
+        };
+        return {
+            doctors: assign(this.doctors, 'doctor', d => d.name, d => String(d.email || '').split('@')[0]),
+            clubs: assign(this.clubs, 'club', c => c['Name of it '], c => c['Club/ Volunteer team'])
+        };
+    }
+
+    // Records from before a reload are looked up again by key or name
+    getDoctorSlug(doctor) {
+        if (!doctor) return null;
+        const current = this.slugs.doctors.byRecord.has(doctor) ? doctor : this.findDoctorByKey(this.getDoctorKey(doctor));
+        return this.slugs.doctors.byRecord.get(current) || null;
+    }
+
+    getClubSlug(club) {
+        if (!club) return null;
+        const current = this.slugs.clubs.byRecord.has(club) ? club : this.clubs.find(c => c['Name of it '] === club['Name of it ']);
+        return this.slugs.clubs.byRecord.get(current) || null;
+    }
+
+    // Record behind a /start payload ("doctor_malek-allouzi", "club_ieee-htu"):
+    // { kind: 'doctor' | 'club', record } or null
+    resolveStartPayload(payload) {
+        const match = String(payload || '').match(/^(doctor|club)_([a-z0-9-]+)$/i);
+        if (!match) return null;
+        const kind = match[1].toLowerCase();
+        const record = this.slugs[`${kind}s`].bySlug.get(match[2].toLowerCase());
+        return record ? { kind, record } : null;
+    }
+
+    // Office hours, office and email changes between two doctor lists, matched
+    // by key first and by normalized name second (so an email change is still
+    // reported as a change). Returns [{ key, newKey, name, doctor, fields }]
+    // where fields is [{ field, before, after }].
+    diffDoctorDetails(before, after) {
+        const afterByKey = new Map();
+        const afterByName = new Map();
+        (after || []).forEach(d => {
+            afterByKey.set(this.getDoctorKey(d), d);
+            afterByName.set(this.normalize(d.name || ''), d);
+        });
+
+        const changes = [];
+        (before || []).forEach(old => {
+            const key = this.getDoctorKey(old);
+            const updated = afterByKey.get(key) || afterByName.get(this.normalize(old.name || ''));
+            if (!updated) return;
+
+            const fields = [];
+            const oldHours = old.office_hours || {};
+            const newHours = updated.office_hours || {};
+            if (JSON.stringify(oldHours) !== JSON.stringify(newHours)) {
+                fields.push({ field: 'office_hours', before: oldHours, after: newHours });
+            }
+            ['office', 'email'].forEach(field => {
+                const a = (old[field] || '').toString().trim();
+                const b = (updated[field] || '').toString().trim();
+                // "S–315" → "S-315" is a spelling fix, not a move
+                const same = field === 'office'
+                    ? this.formatOfficeCode(a) === this.formatOfficeCode(b)
+                    : a === b;
+                if (!same) fields.push({ field, before: a, after: b });
+            });
+            if (fields.length > 0) {
+                changes.push({ key, newKey: this.getDoctorKey(updated), name: updated.name, doctor: updated, fields });
+            }
+        });
+        return changes;
+    }
+
+    // Before/after message for one entry of diffDoctorDetails()
+    formatDoctorChange(change) {
+        const value = (text, missing) => (text ? escapeLegacyMarkdown(text) : missing);
+        let message = `🔔 **Update for ${escapeLegacyMarkdown(change.name)}**\n\n`;
+        change.fields.forEach(({ field, before, after }) => {
+            if (field === 'office_hours') {
+                message += `⏰ **Office hours changed:**\n`;
+                const days = [...new Set(Object.keys(before).concat(Object.keys(after)))];
+                days.forEach(day => {
+                    if (before[day] === after[day]) return;
+                    message += `📅 ${day}: ${value(before[day], '(none)')} → ${value(after[day], '(removed)')}\n`;
+                });
+                message += `\n`;
+            } else if (field === 'office') {
+                message += `🏢 **Office:** ${value(before, '(none)')} → ${value(after, '(none)')}\n\n`;
+            } else if (field === 'email') {
+                message += `📧 **Email:** ${value(before, '(none)')} → ${value(after, '(none)')}\n\n`;
+            }
+        });
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+        return message;
+    }
+
+    // The slot a reminder `lead` minutes ahead should target: the first slot
+    // starting more than `lead` minutes from now
+    getReminderSlot(doctor, lead, now = new Date()) {
+        const at = zonedDayTime(new Date(now.getTime() + lead * 60000), config.TIMEZONE);
+        const { current, next } = findNextSlot(this.getUsableSlots(doctor), at);
+        if (current && current.slot.start === at.minutes) return current.slot;
+        return next ? next.slot : null;
+    }
+
+    // Current and next office-hours slot for one doctor in campus time
+    getNextAvailability(doctor, now = new Date()) {
+        return findNextSlot(this.getUsableSlots(doctor), zonedDayTime(now, config.TIMEZONE));
+    }
+
+    // "🟢 In office hours now" badge and "Next available" line for doctor cards
+    formatAvailability(doctor, now = new Date()) {
+        const { current, next } = this.getNextAvailability(doctor, now);
+        const lines = [];
+        if (current) {
+            const where = current.slot.modality === 'online' ? ' (online)' : '';
+            lines.push(`🟢 **Currently in office hours**${where} — until ${formatMinutes(current.slot.end)}`);
+        }
+        if (next) {
+            const when = describeDelay(next.daysAhead, next.minutesUntil);
+            lines.push(`🗓️ **Next available:** ${next.slot.day} ${formatMinutes(next.slot.start)} (${when})`);
+        }
+        return lines.join('\n');
+    }
+
+    // Weekly office-hour windows shared by all given doctors (e.g. a supervisor
+    // and co-supervisor), plus each doctor's slots outside those windows
+    findCommonFreeTime(doctors) {
+        const slotLists = (doctors || []).map(doctor => this.getUsableSlots(doctor)
+            .filter(s => WORKING_DAYS.includes(s.day)));
+        const windows = intersectSlots(slotLists);
+        const others = (doctors || []).map((doctor, i) => ({
+            doctor,
+            slots: subtractSlots(slotLists[i], windows)
+        }));
+        return { windows, others };
+    }
+
+    formatCommonFreeTime(doctors, result) {
+        const { windows, others } = result || this.findCommonFreeTime(doctors);
+        let message = `🤝 **Common office hours**\n`;
+        message += `👥 ${doctors.map(d => d.name).join(' • ')}\n\n`;
+
+        if (windows.length === 0) {
+            message += `😔 No overlapping office hours this week.\n\n`;
+        } else {
+            message += `✅ **Everyone is available:**\n`;
+            windows.forEach(w => {
+                message += `📅 ${w.day}: ${formatMinutes(w.start)} – ${formatMinutes(w.end)} (${w.end - w.start} min)\n`;
+            });
+            message += `\n`;
+        }
+
+        message += windows.length === 0 ? `📋 **Each doctor's slots:**\n` : `📋 **Other slots:**\n`;
+        others.forEach(({ doctor, slots }) => {
+            message += `👨‍🏫 **${doctor.name}**\n`;
+            if (slots.length === 0) {
+                message += `   —\n`;
+            } else {
+                slots.forEach(slot => {
+                    message += `   📅 ${slot.day} ${formatSlot(slot)}\n`;
+                });
+            }
+        });
+        message += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+        return message;
+    }
+
+    // `filters` is { department, building } as passed to getAvailableNow()
+    formatAvailableNow(entries, filters = {}, now = new Date()) {
+        const { day, minutes } = zonedDayTime(now, config.TIMEZONE);
+        let message = `🟢 **Available right now** (${day} ${formatMinutes(minutes)})\n`;
+        if (filters.department) message += `📚 Department: ${filters.department}\n`;
+        if (filters.building) {
+            const info = (this.nameSystem.legend || {})[filters.building] || {};
+            message += `🏢 Building: ${info.name || filters.building} (${filters.building})\n`;
+        }
+        message += `\n`;
+
+        if (!entries || entries.length === 0) {
+            message += `😴 Nobody is holding office hours at the moment.\n\n`;
+            message += `💡 **Tip:** Search a name to see their full office hours.`;
+            return message;
+        }
+
+        entries.forEach(({ doctor, slot, minutesLeft }, index) => {
+            message += `${index + 1}. **${doctor.name}** (${doctor.department})\n`;
+            message += `   ${this.formatOfficeLocation(doctor.office)}\n`;
+            if (slot.location) message += `   📍 ${slot.location}\n`;
+            if (slot.modality === 'online') message += `   💻 Online slot\n`;
+            message += `   ⏳ ${minutesLeft} min left (until ${formatMinutes(slot.end)})\n\n`;
+        });
+
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+        return message;
+    }
+
     search(query) {
-        if (!query || query.trim().length < 2) {
-            return [];
+        return this.searchScored(query).map(result => result.doctor);
+    }
+
+    // Search features of a name or query, computed once per record when the
+    // index is built and once per query
+    textProfile(text) {
+        const raw = text === undefined || text === null ? '' : String(text).trim();
+        const norm = this.normalize(raw);
+        // Titles ("Dr.", Arabic "د.") are not part of a name
+        const titles = ['dr', 'prof', 'eng', 'د'];
+        const nameWords = norm.split(' ').filter(w => w && !titles.includes(w));
+        return {
+            raw,
+            norm,
+            tokens: norm.split(' ').filter(Boolean),
+            arabic: hasArabic(norm),
+            translitWords: nameWords.map(transliterationKey).filter(Boolean),
+            vowelWords: nameWords.map(vowelledKey).filter(Boolean),
+            phoneticWords: phoneticWords(raw)
+        };
+    }
+
+    // Match a query and a name written in different scripts ("محمد الخطيب" vs
+    // "Mohammad Al-Khateeb") on their consonant skeletons. Names sharing a
+    // skeleton (اسماء: Asma, Sami, Sama) are told apart by their long vowels,
+    // which add up to 9 points. Takes two textProfile() results; returns
+    // { score, field } scaled by `weights` ({ exact, prefix, tokens }) or null.
+    transliterationMatch(name, query, weights) {
+        if (!name.norm || !query.norm || name.arabic === query.arabic) return null;
+        const nameWords = name.translitWords;
+        const queryWords = query.translitWords;
+        const nameKey = nameWords.join('');
+        const queryKey = queryWords.join('');
+        if (!queryKey || !nameKey) return null;
+        // A one-consonant key ("علي" → "l") only matches a whole name word with the same vowels (Ali)
+        if (queryKey.length < 2 && !(nameWords.includes(queryKey) && query.vowelWords.every(word => name.vowelWords.includes(word)))) return null;
+        const closeness = Math.round(9 * query.vowelWords.reduce((sum, word) =>
+            sum + Math.max(0, ...name.vowelWords.map(other => this.jaroWinkler(word, other))), 0) / Math.max(1, query.vowelWords.length));
+        if (nameKey === queryKey) return { score: weights.exact + closeness, field: 'translit_name' };
+        if (queryKey.length >= 3 && nameKey.startsWith(queryKey)) return { score: weights.prefix + closeness, field: 'translit_start' };
+
+        // Every query word matches a name word in order, allowing skipped middle
+        // names; "الجراح" also matches the two words of "Al Jarrah"
+        let from = 0;
+        const inOrder = queryWords.every(word => {
+            for (let i = from; i < nameWords.length; i++) {
+                const candidates = [nameWords[i], nameWords[i] + (nameWords[i + 1] || '')];
+                if (candidates.some(c => c === word || (word.length >= 3 && c.startsWith(word)))) {
+                    from = i + 1;
+                    return true;
+                }
+            }
+            return false;
+        });
+        return inOrder ? { score: weights.tokens + closeness, field: 'translit_tokens' } : null;
+    }
+
+    // The same Latin-spelled name in another spelling ("Muhammad Al-Khatib" for
+    // "Mohammad Alkhateeb"), compared on phonetic keys. The whole name scores
+    // just under an exact match, several query words found in order score above
+    // a plain prefix match and a single word just below it; literal similarity
+    // breaks ties (Mohammad before Mahmoud for "Mohamad").
+    // Takes two textProfile() results; returns { score, field, words } or null.
+    phoneticMatch(name, query) {
+        if (name.arabic || query.arabic || query.norm.length < 3) return null;
+        const nameWords = name.phoneticWords;
+        const queryWords = query.phoneticWords;
+        if (queryWords.length === 0 || nameWords.length === 0) return null;
+        const closeness = Math.round(9 * this.tokenListSimilarity(query.tokens, name.tokens));
+        if (queryWords.join(' ') === nameWords.join(' ')) return { score: 330 + closeness, field: 'phonetic_name', words: queryWords.length };
+
+        // Skipped middle names are fine; the last word may still be being typed
+        let from = 0;
+        const inOrder = queryWords.every((word, i) => {
+            const last = i === queryWords.length - 1;
+            for (let j = from; j < nameWords.length; j++) {
+                if (nameWords[j] === word || (last && word.length >= 3 && nameWords[j].startsWith(word))) {
+                    from = j + 1;
+                    return true;
+                }
+            }
+            return false;
+        });
+        if (!inOrder) return null;
+        return { score: (queryWords.length > 1 ? 260 : 210) + closeness, field: 'phonetic_tokens', words: queryWords.length };
+    }
+
+    // Precomputed search data, rebuilt with the data: a profile per doctor and
+    // club plus SearchIndex lookups (see searchIndex.js) and a small result cache.
+    // Built lazily so assistants assembled by hand (tests, benchmarks) work too.
+    buildSearchIndex() {
+        const text = value => (value ? value.toString().trim() : '');
+        // Whole skeleton, each word and each pair of neighbouring words, so
+        // transliteration prefix and word matches are all prefix lookups
+        const translitWords = profile => profile.translitWords.concat(
+            profile.translitWords.join(''),
+            profile.translitWords.slice(1).map((word, i) => profile.translitWords[i] + word)
+        );
+
+        const doctors = { entries: [], names: new SearchIndex(), translit: new SearchIndex(), phonetic: new SearchIndex(), fields: new SearchIndex() };
+        (this.doctors || []).forEach((doctor, id) => {
+            const name = this.textProfile(doctor.name);
+            const office = text(doctor.office);
+            const officeRoom = this.parseOffice(office);
+            const entry = {
+                doctor,
+                name,
+                dept: text(doctor.department).toLowerCase(),
+                office: office.toLowerCase(),
+                officeKey: compactRoomCode(officeRoom.valid ? officeRoom.code : office),
+                school: text(doctor.school).toLowerCase(),
+                email: text(doctor.email).toLowerCase()
+            };
+            doctors.entries.push(entry);
+            doctors.names.add(id, { words: name.tokens, texts: [name.norm] });
+            doctors.translit.add(id, { words: translitWords(name) });
+            doctors.phonetic.add(id, { words: name.phoneticWords });
+            doctors.fields.add(id, { texts: [entry.dept, entry.office, entry.officeKey, entry.school, entry.email] });
+        });
+
+        const clubs = { entries: [], names: new SearchIndex(), translit: new SearchIndex(), fields: new SearchIndex() };
+        (this.clubs || []).forEach((club, id) => {
+            const name = this.textProfile(club['Name of it '] || '');
+            const about = club['What is yours club or volunteer team about ?'] || '';
+            const entry = {
+                club,
+                name,
+                type: club['Club/ Volunteer team'] ? club['Club/ Volunteer team'].toLowerCase() : '',
+                about: about.toLowerCase(),
+                aboutNorm: this.normalize(about)
+            };
+            clubs.entries.push(entry);
+            clubs.names.add(id, { words: name.tokens, texts: [name.norm] });
+            clubs.translit.add(id, { words: translitWords(name) });
+            clubs.fields.add(id, { texts: [entry.type, entry.about, entry.aboutNorm] });
+        });
+
+        return { doctors, clubs, cache: new Map() };
+    }
+
+    getSearchIndex() {
+        if (!this.searchIndex) this.searchIndex = this.buildSearchIndex();
+        return this.searchIndex;
+    }
+
+    // Run `search` once per kind and query text until the next reload
+    cachedSearch(kind, query, search) {
+        const cache = this.getSearchIndex().cache;
+        const key = `${kind}:${query}`;
+        if (!cache.has(key)) {
+            if (cache.size >= SEARCH_CACHE_SIZE) cache.delete(cache.keys().next().value);
+            cache.set(key, search());
         }
+        return cache.get(key).slice();
+    }
+
+    // Everything the scorers need to know about a query, computed once
+    buildSearchQuery(query) {
         const rawQuery = query.trim();
         const searchTerm = rawQuery.toLowerCase();
-        const normQuery = this.normalize(searchTerm);
-        const queryTokens = normQuery.split(' ').filter(Boolean);
+        const profile = this.textProfile(rawQuery);
+        // Room codes compare on their compact form so "S315", "s - 315" and "S–315" match
+        const queryRoom = this.parseOffice(rawQuery);
+        const queryIsRoom = queryRoom.valid && !queryRoom.extracted;
+        return {
+            rawQuery,
+            searchTerm,
+            normQuery: profile.norm,
+            queryTokens: profile.tokens,
+            queryIsRoom,
+            queryRoomKey: compactRoomCode(queryIsRoom ? queryRoom.code : rawQuery),
+            profile
+        };
+    }
 
-        const results = [];
+    // Ids that can score for a query: the union of index lookups for each way a
+    // record can match. Null when a lookup can't narrow the query down (text
+    // shorter than a trigram), in which case every record is scored.
+    // `byName` is false when names can't match (doctors for a room code).
+    searchCandidates(index, q, byName = true) {
+        const lookups = [];
+        if (byName) {
+            if (q.queryTokens.length > 0) lookups.push(index.names.withPrefix(q.queryTokens[0]));
+            lookups.push(index.names.containing(q.normQuery));
+            lookups.push(index.names.similar(q.queryTokens, FUZZY_BIGRAM_SHARE));
+            const translit = q.profile.translitWords;
+            if (translit.length > 0) {
+                lookups.push(index.translit.withPrefix(translit.join('')));
+                lookups.push(index.translit.withPrefix(translit[0]));
+            }
+            if (index.phonetic && q.profile.phoneticWords.length > 0) lookups.push(index.phonetic.withPrefix(q.profile.phoneticWords[0]));
+        }
+        lookups.push(index.fields.containing(q.searchTerm));
+        lookups.push(index.fields.containing(q.normQuery));
+        lookups.push(index.fields.containing(q.queryRoomKey));
+        if (lookups.includes(null)) return null;
+
+        const ids = new Set();
+        lookups.forEach(found => found.forEach(id => ids.add(id)));
+        return ids;
+    }
 
-        this.doctors.forEach(doctor => {
-            let score = 0;
-            const matchedFields = [];
+    // Doctor search with scores: [{ doctor, score, matchedFields }], best first
+    searchScored(query) {
+        if (!query || query.trim().length < 2) {
+            return [];
+        }
+        return this.cachedSearch('doctors', query.trim(), () => this.indexedSearch('doctors', query, (entry, q) => this.scoreDoctor(entry, q)));
+    }
 
-            // Normalize fields for robust matching
-            const name = doctor.name ? doctor.name.toString().trim() : '';
-            const normName = this.normalize(name);
-            const nameTokens = normName.split(' ').filter(Boolean);
+    // Score the indexed candidates for a query and for its synonym expansion
+    // ("cs" → "Computer Science"); results are ranked together by rankResults().
+    // options: { keep(entry) to skip entries before scoring, limit }
+    indexedSearch(kind, query, score, options = {}) {
+        const index = this.getSearchIndex()[kind];
+        const results = [];
+        this.queryVariants(query.trim()).forEach(({ text, synonym }) => {
+            const q = this.buildSearchQuery(text);
+            // Doctors can't match a room code by name
+            const ids = this.searchCandidates(index, q, kind !== 'doctors' || !q.queryIsRoom);
+            (ids ? [...ids].sort((a, b) => a - b) : index.entries.map((entry, id) => id)).forEach(id => {
+                if (options.keep && !options.keep(index.entries[id])) return;
+                const result = score(index.entries[id], q);
+                if (!result) return;
+                if (synonym) {
+                    result.score += SYNONYM_BONUS;
+                    result.matchedFields.push('synonym');
+                }
+                results.push(result);
+            });
+        });
+        return this.rankResults(results, options.limit);
+    }
 
-            const dept = doctor.department ? doctor.department.toString().trim() : '';
-            const office = doctor.office ? doctor.office.toString().trim() : '';
-            const school = doctor.school ? doctor.school.toString().trim() : '';
-            const email = doctor.email ? doctor.email.toString().trim() : '';
+    // Keep the best entry per normalized name, best first, capped at `limit`
+    rankResults(results, limit = config.MAX_RESULTS) {
+        const bestByName = new Map();
+        results.forEach(r => {
+            const prev = bestByName.get(r.normName);
+            if (!prev || r.score > prev.score) bestByName.set(r.normName, r);
+        });
+        return Array.from(bestByName.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
 
+    // Score one indexed doctor against a buildSearchQuery() result; null when nothing matched
+    scoreDoctor(entry, q) {
+        const { searchTerm, normQuery, queryTokens, queryIsRoom, queryRoomKey } = q;
+        const doctor = entry.doctor;
+        let score = 0;
+        const matchedFields = [];
+        const normName = entry.name.norm;
+        const nameTokens = entry.name.tokens;
+
+        const translit = queryIsRoom ? null : this.transliterationMatch(entry.name, q.profile, { exact: 300, prefix: 200, tokens: 160 });
+        const phonetic = queryIsRoom || translit ? null : this.phoneticMatch(entry.name, q.profile);
+
+        // 0) A room code ("S-315") is an office lookup scored by the office
+        // checks below; its "s" must not match names
+        if (!queryIsRoom) {
+            // 0b) Arabic query against a Latin name or the reverse
+            if (translit) {
+                score += translit.score;
+                matchedFields.push(translit.field);
+            }
             // 1) Exact normalized name match (highest priority)
-            if (normName && normName === normQuery) {
+            else if (normName && normName === normQuery) {
                 score += 350;
                 matchedFields.push('exact_name');
             }
+            // 1b) The name, or several of its words, in another spelling ("Muhammad Al-Khatib")
+            else if (phonetic && (phonetic.field === 'phonetic_name' || phonetic.words > 1)) {
+                score += phonetic.score;
+                matchedFields.push(phonetic.field);
+            }
             // 2) Full name starts with query OR first token starts with query
             else if (normName.startsWith(normQuery) || (queryTokens.length > 0 && nameTokens[0] && nameTokens[0].startsWith(queryTokens[0]))) {
                 score += 220;
                 matchedFields.push('name_start');
             }
+            // 2b) A single name word in another spelling ("Khatib")
+            else if (phonetic) {
+                score += phonetic.score;
+                matchedFields.push(phonetic.field);
+            }
             // 3) Token-wise prefix matching: every query token matches start of corresponding name token
             else {
                 let allPrefix = true;
@@ -279,7 +1109,7 @@ class HTUAssistant {
                 }
                 // 5) Fuzzy fallback (stricter than before)
                 else {
-                    const tokenSim = this.tokenSimilarity(normName, normQuery);
+                    const tokenSim = this.tokenListSimilarity(entry.name.tokens, queryTokens);
                     const levSim = this.calculateSimilarity(normName, normQuery);
                     const combined = Math.max(tokenSim, levSim);
                     if (combined > 0.70) {
@@ -288,55 +1118,37 @@ class HTUAssistant {
                     }
                 }
             }
+        }
 
-            // Department exact or contains
-            if (dept && dept.toLowerCase() === searchTerm) {
-                score += 100;
-                matchedFields.push('exact_department');
-            } else if (dept && dept.toLowerCase().includes(searchTerm)) {
-                score += 60;
-                matchedFields.push('department');
-            }
-
-            // Office exact / contains
-            if (office && office.toLowerCase() === searchTerm) {
-                score += 80;
-                matchedFields.push('exact_office');
-            } else if (office && office.toLowerCase().includes(searchTerm)) {
-                score += 30;
-                matchedFields.push('office');
-            }
-
-            // School and email (lower weight)
-            if (school && school.toLowerCase().includes(searchTerm)) {
-                score += 25;
-                matchedFields.push('school');
-            }
-            if (email && email.toLowerCase().includes(searchTerm)) {
-                score += 10;
-                matchedFields.push('email');
-            }
-
-            if (score > 0) {
-                results.push({ doctor, score, matchedFields, normName });
-            }
-        });
+        // Department exact or contains
+        if (entry.dept && entry.dept === searchTerm) {
+            score += 100;
+            matchedFields.push('exact_department');
+        } else if (entry.dept && entry.dept.includes(searchTerm)) {
+            score += 60;
+            matchedFields.push('department');
+        }
 
-        // Deduplicate by normalized name: keep the highest-scoring entry for a given normalized name
-        const bestByName = new Map();
-        results.forEach(r => {
-            const key = r.normName || this.normalize(r.doctor.name || '');
-            const prev = bestByName.get(key);
-            if (!prev || r.score > prev.score) bestByName.set(key, r);
-        });
+        // Office exact / contains (canonical room code first, raw text second)
+        if (entry.office && (entry.officeKey === queryRoomKey || entry.office === searchTerm)) {
+            score += 80;
+            matchedFields.push('exact_office');
+        } else if (entry.office && ((queryRoomKey.length >= 2 && entry.officeKey.includes(queryRoomKey)) || entry.office.includes(searchTerm))) {
+            score += 30;
+            matchedFields.push('office');
+        }
 
-        const deduped = Array.from(bestByName.values());
+        // School and email (lower weight)
+        if (entry.school && entry.school.includes(searchTerm)) {
+            score += 25;
+            matchedFields.push('school');
+        }
+        if (entry.email && entry.email.includes(searchTerm)) {
+            score += 10;
+            matchedFields.push('email');
+        }
 
-        // Sort by score (highest first) and limit results
-        return deduped
-            .sort((a, b) => b.score - a.score)
-            .slice(0, config.MAX_RESULTS)
-            .map(result => result.doctor);
+        return score > 0 ? { doctor, score, matchedFields, normName } : null;
     }
 
     // Calculate string similarity using Levenshtein distance
@@ -393,6 +1205,7 @@ class HTUAssistant {
 
         const office = doctor.office ? doctor.office.toString().trim() : '';
         const officeInfo = office ? this.formatOfficeLocation(office) : '🏢 **Office:** Not specified';
+        const availability = this.formatAvailability(doctor);
 
         // Escape dynamic fields to reduce markdown issues
         const name = escapeMarkdown(doctor.name || 'Unknown');
@@ -419,9 +1232,31 @@ class HTUAssistant {
             `${officeInfo}\n\n` +
             `⏰ **Office Hours:**\n` +
             `${officeHours}\n\n` +
+            (availability ? `${availability}\n\n` : '') +
             `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n` +
             `${closing}`;
     }
+
+    // Self-contained contact card for sharing into other chats (inline mode):
+    // no greeting, no time-sensitive availability, no "tap a button" hints.
+    // Sent with legacy Markdown, so plain values are escaped; the name (bold) and
+    // the email (link) can't be escaped, so they drop the characters that would end that markup.
+    formatDoctorCard(doctor) {
+        const officeHours = doctor.office_hours && Object.keys(doctor.office_hours).length > 0
+            ? Object.entries(doctor.office_hours).map(([day, hours]) => `📅 ${day}: ${escapeLegacyMarkdown(hours)}`).join('\n')
+            : '📅 Not specified';
+        const name = String(doctor.name || 'Unknown').replace(/\*/g, '');
+        const email = doctor.email ? doctor.email.toString().trim().replace(/[\]()]/g, '') : 'N/A';
+
+        return `👨‍🏫 *${name}*\n\n` +
+            `🏫 **School:** ${escapeLegacyMarkdown(doctor.school || 'Unknown')}\n` +
+            `📚 **Department:** ${escapeLegacyMarkdown(doctor.department || 'Unknown')}\n` +
+            `📧 **Email:** [${email}](mailto:${email})\n` +
+            `${this.formatOfficeLocation(doctor.office)}\n\n` +
+            `⏰ **Office Hours:**\n` +
+            `${officeHours}`;
+    }
+
     formatSearchResults(results, query) {
         // This helper was previously used for formatting search results.
         // Kept minimal to avoid duplication with higher-level formatting in bot.js.
@@ -431,7 +1266,7 @@ class HTUAssistant {
             message += `${index + 1}. 👨‍🏫 **${doctor.name}**\n`;
             message += `   📚 ${doctor.department}\n`;
             message += `   📧 [${doctor.email}](mailto:${doctor.email})\n`;
-            message += `   🏢 ${doctor.office || 'Not specified'}\n\n`;
+            message += `   🏢 ${this.formatOfficeCode(doctor.office)}\n\n`;
         });
         return message;
     }
@@ -455,128 +1290,431 @@ class HTUAssistant {
             }
         });
 
-        // Check for common misspellings
-        const commonMistakes = {
-            'computer': 'Computer Science',
-            'cs': 'Computer Science',
-            'it': 'Information Technology',
-            'eng': 'Engineering',
-            'bus': 'Business',
-            'admin': 'Administration'
-        };
-
-        Object.entries(commonMistakes).forEach(([mistake, correction]) => {
-            if (queryLower.includes(mistake)) {
-                suggestions.push(correction);
+        // Abbreviations and near-misses of them ("dsia") from the synonyms, as
+        // long as the expansion finds something (a button that leads nowhere
+        // would only offer itself again)
+        const normQuery = this.normalize(query);
+        const normTokens = ` ${normQuery} `;
+        (this.synonyms || new Map()).forEach((expansion, key) => {
+            if (normTokens.includes(` ${key} `) || (key.length >= 4 && this.jaroWinkler(key, normQuery) > 0.85)) {
+                if (this.search(expansion).length > 0 || this.searchClubs(expansion).length > 0 || this.searchBuildings(expansion).length > 0) {
+                    suggestions.push(expansion);
+                }
             }
         });
 
         return [...new Set(suggestions)].slice(0, 3); // Remove duplicates and limit to 3
     }
 
+    // Parse an office value against the htuNameSystem legend and format rules.
+    // See roomCodes.parseRoomCode for the returned shape.
+    parseOffice(office) {
+        return parseRoomCode(office, this.nameSystem);
+    }
+
+    // Short office label for result lists: canonical code when it parses, raw text otherwise
+    formatOfficeCode(office) {
+        const room = this.parseOffice(office);
+        if (room.empty) return 'Not specified';
+        return room.valid ? room.code : room.raw;
+    }
+
     formatOfficeLocation(office) {
-        if (!office || office === 'N/A') return '🏢 **Office:** Not specified';
-        
-        const buildingInfo = this.getBuildingInfo(office);
-        if (buildingInfo) {
-            return `🏢 **Office:** ${office} (${buildingInfo.name} - ${buildingInfo.nickname})`;
+        const room = this.parseOffice(office);
+        if (room.empty) return '🏢 **Office:** Not specified';
+
+        if (room.valid) {
+            const info = room.buildingInfo || {};
+            const building = info.nickname ? `${info.name} - ${info.nickname}` : info.name;
+            return `🏢 **Office:** ${room.code} (${building}, ${describeFloor(room)}, Room ${room.room})`;
+        }
+        return `🏢 **Office:** ${escapeLegacyMarkdown(room.raw)}`;
+    }
+
+    // Closest legend building to a location: { code, info, distance } (metres), or null
+    // when no building has coordinates in htuNameSystem.json
+    findNearestBuilding(lat, lng) {
+        let nearest = null;
+        Object.entries(this.nameSystem.legend || {}).forEach(([code, info]) => {
+            if (!info.coordinates) return;
+            const distance = haversineMeters({ lat, lng }, info.coordinates);
+            if (!nearest || distance < nearest.distance) nearest = { code, info, distance };
+        });
+        return nearest;
+    }
+
+    // "~80 m" / "~2.3 km"
+    formatDistance(meters) {
+        return meters < 1000 ? `~${Math.round(meters / 10) * 10} m` : `~${(meters / 1000).toFixed(1)} km`;
+    }
+
+    // Doctors whose office parses to the given canonical room code
+    getRoomOccupants(code) {
+        if (!code) return [];
+        return this.doctors.filter(d => this.parseOffice(d.office).code === code);
+    }
+
+    // Read a room out of free text such as "S-321", "room n402" or "where is W-B05?".
+    // Only whole codes count, so names and sentences are left to search().
+    parseRoomQuery(text) {
+        const stripped = String(text || '')
+            .trim()
+            .replace(/[?!.]+$/, '')
+            .replace(/^(?:where\s+is|what\s+is|where'?s|what'?s)\s+/i, '')
+            .replace(/^(?:room|office|class(?:room)?)\s+/i, '')
+            .trim();
+        const room = this.parseOffice(stripped);
+        return room.valid && !room.extracted ? room : null;
+    }
+
+    // Canonical room code when its floor has a layout that includes the room
+    getMappableRoom(office) {
+        const room = this.parseOffice(office);
+        if (!room.valid) return null;
+        const layout = getFloorLayout(this.floorLayouts, room.building, room.floor);
+        return layoutHasRoom(layout, room.code) ? room : null;
+    }
+
+    // SVG floor map with the room highlighted: { svg, filename, caption } or null
+    getRoomMap(office) {
+        const room = this.getMappableRoom(office);
+        if (!room) return null;
+        const info = room.buildingInfo || {};
+        const layout = getFloorLayout(this.floorLayouts, room.building, room.floor);
+        const floor = describeFloor(room);
+        const svg = renderFloorSvg(layout, {
+            title: `${info.name || room.building} (${room.building}) — ${floor}`,
+            subtitle: [info.nickname, info.color ? `${info.color} building` : ''].filter(Boolean).join(' · '),
+            color: info.color,
+            highlight: room.code
+        });
+        return {
+            svg,
+            filename: `${room.code}-map.svg`,
+            caption: `🗺️ ${room.code} — ${info.name || room.building}, ${floor}`
+        };
+    }
+
+    // Turn a room code, building or doctor name into a route endpoint
+    // { building, floor, label } or { error }
+    resolveRouteEndpoint(text) {
+        const room = this.parseRoomQuery(text);
+        if (room) return { building: room.building, floor: room.floor, label: room.code };
+
+        const building = this.searchBuildings(text).find(b => b.score >= 250);
+        const campusBuilding = building && ((this.campusGraph.buildings || {})[building.code]);
+        if (campusBuilding) {
+            return { building: building.code, floor: campusBuilding.entranceFloor, label: `the ${building.info.name} (${building.code}) entrance` };
+        }
+
+        const doctor = this.search(text)[0];
+        if (!doctor) return { error: `I couldn't find a room, building or doctor matching "${text}".` };
+        const office = this.parseOffice(doctor.office);
+        if (!office.valid) return { error: `${doctor.name}'s office (${office.raw || 'not specified'}) isn't a room code I can route to.` };
+        return { building: office.building, floor: office.floor, label: `${office.code} (${doctor.name})` };
+    }
+
+    // Walking directions between two free-text endpoints
+    getRoute(fromText, toText) {
+        const from = this.resolveRouteEndpoint(fromText);
+        if (from.error) return from;
+        const to = this.resolveRouteEndpoint(toText);
+        if (to.error) return to;
+        if (from.label === to.label) return { error: `You're already at ${to.label}.` };
+        const route = findRoute(this.campusGraph, from, to);
+        return route.error ? route : Object.assign({ from, to }, route);
+    }
+
+    formatRoute(route) {
+        let message = `🧭 **From ${route.from.label} to ${route.to.label}**\n`;
+        message += `⏱️ About ${route.minutes} min walk\n\n`;
+        route.steps.forEach((step, index) => {
+            message += `${index + 1}. ${step}\n`;
+        });
+        message += `\n💡 Times are approximate.\n`;
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+        return message;
+    }
+
+    // Building, floor and room for a parsed room plus everyone sitting there
+    formatRoomInfo(room) {
+        const info = room.buildingInfo || {};
+        const occupants = this.getRoomOccupants(room.code);
+        let message = `🚪 **Room ${room.code}**\n\n`;
+        message += `🏢 **Building:** ${info.name || room.building} (${room.building})\n`;
+        if (info.nickname) message += `🏷️ **Also known as:** ${info.nickname}\n`;
+        if (info.color) message += `🎨 **Colour:** ${info.color}\n`;
+        message += `🪜 **Floor:** ${describeFloor(room)}\n`;
+        message += `🔢 **Room:** ${room.room}\n\n`;
+
+        if (occupants.length === 0) {
+            message += `👤 Nobody in the directory has this room as their office.\n\n`;
+        } else {
+            message += `👨‍🏫 **Who sits here (${occupants.length}):**\n`;
+            occupants.forEach(doctor => {
+                message += `• ${doctor.name} — ${doctor.department || 'Unknown department'}\n`;
+            });
+            message += `\n`;
         }
-        return `🏢 **Office:** ${office}`;
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+        return message;
     }
 
     getBuildingInfo(officeCode) {
         if (!this.nameSystem.legend) return null;
-        // Normalize input and attempt to find matching legend entry
-        if (!officeCode) return null;
-        const prefix = String(officeCode).toString().trim().split(/\s*-?\s*/)[0].toUpperCase();
-        return this.nameSystem.legend[prefix] || null;
+        const room = this.parseOffice(officeCode);
+        return room.valid ? room.buildingInfo : null;
     }
 
     searchClubs(query) {
-        if (!query || query.trim().length < 2) return [];
-        const rawQuery = query.trim();
-        const searchTerm = rawQuery.toLowerCase();
-        const normQuery = this.normalize(searchTerm);
-        const queryTokens = normQuery.split(' ').filter(Boolean);
-
-        const results = [];
+        return this.searchClubsScored(query).map(result => result.club);
+    }
 
-        this.clubs.forEach(club => {
-            let score = 0;
-            const matchedFields = [];
-            const clubNameRaw = club['Name of it '] ? club['Name of it '] : '';
-            const normClubName = this.normalize(clubNameRaw);
-            const clubNameTokens = normClubName.split(' ').filter(Boolean);
+    // Club search with scores: [{ club, score, matchedFields }], best first
+    searchClubsScored(query) {
+        if (!query || query.trim().length < 2) return [];
+        return this.cachedSearch('clubs', query.trim(), () => this.indexedSearch('clubs', query, (entry, q) => this.scoreClub(entry, q)));
+    }
 
-            // Exact normalized name
-            if (normClubName === normQuery) {
-                score += 300;
-                matchedFields.push('exact_name');
-            }
-            // Starts with or first token starts with
-            else if (normClubName.startsWith(normQuery) || (queryTokens.length > 0 && clubNameTokens[0] && clubNameTokens[0].startsWith(queryTokens[0]))) {
-                score += 180;
-                matchedFields.push('name_start');
-            }
-            // Token prefix match
-            else {
-                let allPrefix = true;
-                for (let i = 0; i < queryTokens.length; i++) {
-                    if (!clubNameTokens[i] || !clubNameTokens[i].startsWith(queryTokens[i])) {
-                        allPrefix = false;
-                        break;
-                    }
-                }
-                if (allPrefix && queryTokens.length > 0) {
-                    score += 160;
-                    matchedFields.push('tokens_prefix');
-                } else if (normClubName.includes(normQuery)) {
-                    score += 80;
-                    matchedFields.push('name_contains');
-                } else {
-                    const tokenSim = this.tokenSimilarity(normClubName, normQuery);
-                    const levSim = this.calculateSimilarity(normClubName, normQuery);
-                    const combined = Math.max(tokenSim, levSim);
-                    if (combined > 0.70) {
-                        score += Math.round(70 * combined);
-                        matchedFields.push('fuzzy_name');
-                    }
+    // Score one indexed club against a buildSearchQuery() result; null when nothing matched
+    scoreClub(entry, q) {
+        const { searchTerm, normQuery, queryTokens } = q;
+        const club = entry.club;
+        let score = 0;
+        const matchedFields = [];
+        const normName = entry.name.norm;
+        const clubNameTokens = entry.name.tokens;
+        const translit = this.transliterationMatch(entry.name, q.profile, { exact: 260, prefix: 160, tokens: 140 });
+
+        // Arabic query against a Latin name or the reverse
+        if (translit) {
+            score += translit.score;
+            matchedFields.push(translit.field);
+        }
+        // Exact normalized name
+        else if (normName === normQuery) {
+            score += 300;
+            matchedFields.push('exact_name');
+        }
+        // Starts with or first token starts with
+        else if (normName.startsWith(normQuery) || (queryTokens.length > 0 && clubNameTokens[0] && clubNameTokens[0].startsWith(queryTokens[0]))) {
+            score += 180;
+            matchedFields.push('name_start');
+        }
+        // Token prefix match
+        else {
+            let allPrefix = true;
+            for (let i = 0; i < queryTokens.length; i++) {
+                if (!clubNameTokens[i] || !clubNameTokens[i].startsWith(queryTokens[i])) {
+                    allPrefix = false;
+                    break;
                 }
             }
-
-            const clubType = club['Club/ Volunteer team'] ? club['Club/ Volunteer team'].toLowerCase() : '';
-            if (clubType === searchTerm) {
+            if (allPrefix && queryTokens.length > 0) {
+                score += 160;
+                matchedFields.push('tokens_prefix');
+            } else if (normName.includes(normQuery)) {
                 score += 80;
-                matchedFields.push('exact_type');
-            } else if (clubType.includes(searchTerm)) {
-                score += 50;
-                matchedFields.push('type');
+                matchedFields.push('name_contains');
+            } else {
+                const tokenSim = this.tokenListSimilarity(clubNameTokens, queryTokens);
+                const levSim = this.calculateSimilarity(normName, normQuery);
+                const combined = Math.max(tokenSim, levSim);
+                if (combined > 0.70) {
+                    score += Math.round(70 * combined);
+                    matchedFields.push('fuzzy_name');
+                }
             }
+        }
 
-            if (club['What is yours club or volunteer team about ?'] && club['What is yours club or volunteer team about ?'].toLowerCase().includes(searchTerm)) {
-                score += 30;
-                matchedFields.push('description');
-            }
+        if (entry.type === searchTerm) {
+            score += 80;
+            matchedFields.push('exact_type');
+        } else if (entry.type.includes(searchTerm)) {
+            score += 50;
+            matchedFields.push('type');
+        }
+
+        // Descriptions are mostly Arabic, so compare them normalized as well
+        if (entry.about && (entry.about.includes(searchTerm) || (normQuery.length >= 2 && entry.aboutNorm.includes(normQuery)))) {
+            score += 30;
+            matchedFields.push('description');
+        }
+
+        return score > 0 ? { club, score, matchedFields, normName } : null;
+    }
 
-            if (score > 0) {
-                results.push({ club, score, matchedFields, normClubName });
+    // Buildings from the name-system legend matching a code, name, nickname
+    // (English or Arabic, each "/" part on its own) or colour. Words like
+    // "building" are ignored so "blue building" and "S block" still match.
+    // Returns [{ code, info, score, matchedFields }] on the same scale as search().
+    searchBuildings(query) {
+        if (!query || query.trim().length < 2 || !this.nameSystem.legend) return [];
+        // "المبنى الأحمر" and "red building" reach South through the synonyms
+        const best = new Map();
+        this.queryVariants(query.trim()).forEach(({ text, synonym }) => {
+            this.matchBuildings(text).forEach(result => {
+                if (synonym) result.matchedFields.push('synonym');
+                if (!best.has(result.code) || result.score > best.get(result.code).score) best.set(result.code, result);
+            });
+        });
+        return Array.from(best.values()).sort((a, b) => b.score - a.score);
+    }
+
+    matchBuildings(query) {
+        const normQuery = this.normalize(query);
+        const stripped = normQuery
+            .split(' ')
+            .filter(token => !['building', 'buildings', 'block', 'the', 'مبنى', 'المبنى'].includes(token))
+            .join(' ');
+        if (!stripped) return [];
+
+        const results = [];
+        Object.entries(this.nameSystem.legend).forEach(([code, info]) => {
+            let score = 0;
+            const matchedFields = [];
+            const name = this.normalize(info.name);
+            const nicknames = [info.nickname || '']
+                .concat((info.nickname || '').split('/'))
+                .map(n => this.normalize(n))
+                .filter(Boolean);
+            const strippedNicknames = nicknames.map(n => n.replace(/\bbuilding\b|مبنى/g, '').replace(/\s+/g, ' ').trim());
+            const color = this.normalize(info.color);
+
+            if (stripped === code.toLowerCase()) {
+                score = 300;
+                matchedFields.push('exact_code');
+            } else if (stripped === name || nicknames.includes(normQuery) || strippedNicknames.includes(stripped)) {
+                score = 280;
+                matchedFields.push('exact_name');
+            } else if (color && stripped === color) {
+                score = 250;
+                matchedFields.push('color');
+            } else if (stripped.length >= 3 && (name.startsWith(stripped) || nicknames.some(n => n.includes(stripped)))) {
+                score = 150;
+                matchedFields.push('name_contains');
             }
+
+            if (score > 0) results.push({ code, info, score, matchedFields });
         });
+        return results.sort((a, b) => b.score - a.score);
+    }
 
-        // Deduplicate by normalized club name
-        const bestByName = new Map();
-        results.forEach(r => {
-            const key = r.normClubName || this.normalize(r.club['Name of it '] || '');
-            const prev = bestByName.get(key);
-            if (!prev || r.score > prev.score) bestByName.set(key, r);
+    // Doctors, clubs and buildings for one query, plus the order their sections
+    // should be shown in (best top score first)
+    searchEverything(query) {
+        const doctors = this.searchScored(query);
+        const clubs = this.searchClubsScored(query);
+        const buildings = this.searchBuildings(query);
+        const best = list => (list.length > 0 ? list[0].score : 0);
+        // Ties go to buildings, then doctors, then clubs
+        const order = [['buildings', best(buildings)], ['doctors', best(doctors)], ['clubs', best(clubs)]]
+            .filter(([, score]) => score > 0)
+            .sort((a, b) => b[1] - a[1])
+            .map(([type]) => type);
+        return {
+            doctors: doctors.map(r => r.doctor),
+            clubs: clubs.map(r => r.club),
+            buildings,
+            order
+        };
+    }
+
+    // Field-scoped search ("dept:cyber day:monday building:S malek", see
+    // fieldQuery.js). Doctors and clubs must pass every filter for their kind
+    // (a kind with no such field is left out); free text left over is scored
+    // like search() within the filtered records, otherwise results go by name.
+    // Returns null without filters, else { filters, text, errors, doctors, clubs,
+    // totalDoctors, totalClubs } with both lists capped at MAX_RESULTS.
+    searchFiltered(query, now = new Date()) {
+        const parsed = parseFieldQuery(query);
+        if (parsed.filters.length === 0) return null;
+        const { filters, errors } = this.resolveFilters(parsed.filters, now);
+        const kinds = new Set(filters.map(filter => FIELDS[filter.field].kind));
+        if (kinds.size > 1) errors.push('Doctor filters (dept, school, day, building, office) and club filters (type) can\'t be combined.');
+        const result = { filters, text: parsed.text, errors, doctors: [], clubs: [], totalDoctors: 0, totalClubs: 0 };
+        if (errors.length > 0) return result;
+
+        const text = parsed.text.length >= 2 ? parsed.text : '';
+        const run = (kind, record, score) => {
+            if (!kinds.has(kind)) return [];
+            const keep = entry => filters.every(filter => this.matchesFilter(record(entry), filter));
+            if (text) return this.indexedSearch(kind, text, score, { keep, limit: Infinity }).map(r => record(r));
+            return this.getSearchIndex()[kind].entries.filter(keep).map(record)
+                .sort((a, b) => String(a.name || a['Name of it '] || '').localeCompare(String(b.name || b['Name of it '] || '')));
+        };
+        const doctors = run('doctors', entry => entry.doctor, (entry, q) => this.scoreDoctor(entry, q));
+        const clubs = run('clubs', entry => entry.club, (entry, q) => this.scoreClub(entry, q));
+
+        return Object.assign(result, {
+            doctors: doctors.slice(0, config.MAX_RESULTS),
+            clubs: clubs.slice(0, config.MAX_RESULTS),
+            totalDoctors: doctors.length,
+            totalClubs: clubs.length
         });
+    }
 
-        const deduped = Array.from(bestByName.values());
+    // Check filter values against the data: days become day names, building
+    // names become codes and departments pick up their synonyms.
+    // Returns { filters: [{ field, value, ...resolved }], errors }.
+    resolveFilters(filters, now = new Date()) {
+        const errors = [];
+        const resolved = filters.map(filter => {
+            const { field, value } = filter;
+            if (field === 'day') {
+                const lower = value.toLowerCase();
+                const today = zonedDayTime(now, config.TIMEZONE).day;
+                const day = lower === 'today' ? today
+                    : lower === 'tomorrow' ? WEEK_DAYS[(WEEK_DAYS.indexOf(today) + 1) % 7]
+                        : canonicalDay(value);
+                if (!day || lower.length < 2) errors.push(`"${value}" is not a day of the week.`);
+                return { ...filter, day };
+            }
+            if (field === 'building') {
+                const legend = this.nameSystem.legend || {};
+                const code = Object.keys(legend).find(c => c.toLowerCase() === value.toLowerCase()) ||
+                    (this.searchBuildings(value)[0] || {}).code;
+                if (!code) errors.push(`There is no building "${value}". Try a code like ${Object.keys(legend).join(', ')}.`);
+                return { ...filter, code };
+            }
+            if (field === 'dept') {
+                const synonym = this.synonymFor(value);
+                return { ...filter, needles: [value].concat(synonym ? [synonym] : []).map(text => this.normalize(text)) };
+            }
+            return filter;
+        });
+        return { filters: resolved, errors };
+    }
 
-        return deduped
-            .sort((a, b) => b.score - a.score)
-            .slice(0, config.MAX_RESULTS)
-            .map(result => result.club);
+    // Whether a doctor or club passes one resolved filter. Text fields match
+    // when they contain the value, or the whole field when it has * wildcards.
+    matchesFilter(record, filter) {
+        const text = (value, needle) => {
+            const pattern = wildcardPattern(needle);
+            const normValue = this.normalize(value);
+            return pattern ? pattern.test(normValue) || pattern.test(String(value || '').trim()) : normValue.includes(this.normalize(needle));
+        };
+        switch (filter.field) {
+            case 'dept':
+                return filter.needles.some(needle => text(record.department, needle));
+            case 'school':
+                return text(record.school, filter.value);
+            case 'type':
+                return text(record['Club/ Volunteer team'], filter.value);
+            case 'day':
+                return this.getUsableSlots(record).some(slot => slot.day === filter.day);
+            case 'building':
+                return this.parseOffice(record.office).building === filter.code;
+            case 'office': {
+                // Compared on the compact room code, so S-3*, s3* and "S 3*" are the same
+                const room = this.parseOffice(record.office);
+                const officeKey = compactRoomCode(room.valid ? room.code : record.office);
+                const pattern = wildcardPattern(compactRoomCode(filter.value));
+                return Boolean(officeKey) && (pattern ? pattern.test(officeKey) : officeKey === compactRoomCode(filter.value));
+            }
+            default:
+                return false;
+        }
     }
 
     // Return all matching clubs without applying MAX_RESULTS truncation
@@ -708,6 +1846,56 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
         return this.clubs[Math.floor(Math.random() * this.clubs.length)];
     }
 
+    // Offices in one legend building grouped by floor (basement first), derived
+    // from doctors.json: [{ floor, basement, label, rooms: [{ code, doctors }] }]
+    getBuildingDirectory(buildingCode) {
+        const floors = new Map();
+        this.doctors.forEach(doctor => {
+            const room = this.parseOffice(doctor.office);
+            if (!room.valid || room.building !== buildingCode) return;
+            if (!floors.has(room.floor)) {
+                floors.set(room.floor, { floor: room.floor, basement: room.basement, label: describeFloor(room), rooms: new Map() });
+            }
+            const rooms = floors.get(room.floor).rooms;
+            if (!rooms.has(room.code)) rooms.set(room.code, { code: room.code, doctors: [] });
+            rooms.get(room.code).doctors.push(doctor);
+        });
+
+        return Array.from(floors.values())
+            .sort((a, b) => a.floor - b.floor)
+            .map(f => Object.assign(f, {
+                rooms: Array.from(f.rooms.values()).sort((a, b) => a.code.localeCompare(b.code, 'en', { numeric: true }))
+            }));
+    }
+
+    formatBuildingDirectory(buildingCode) {
+        const info = (this.nameSystem.legend || {})[buildingCode];
+        if (!info) return `😔 Unknown building "${buildingCode}".`;
+        const directory = this.getBuildingDirectory(buildingCode);
+        const roomCount = directory.reduce((n, f) => n + f.rooms.length, 0);
+        const doctorCount = directory.reduce((n, f) => n + f.rooms.reduce((m, r) => m + r.doctors.length, 0), 0);
+
+        let message = `🏢 **${info.name} (${buildingCode})**\n`;
+        if (info.nickname) message += `🏷️ ${info.nickname}\n`;
+        if (info.color) message += `🎨 ${info.color}\n`;
+        message += `\n`;
+
+        if (directory.length === 0) {
+            message += `😔 No offices in the directory are in this building yet.\n\n`;
+        } else {
+            message += `👨‍🏫 ${doctorCount} doctor${doctorCount === 1 ? '' : 's'} in ${roomCount} office${roomCount === 1 ? '' : 's'}\n\n`;
+            directory.forEach(floor => {
+                message += `🪜 **${floor.label}**\n`;
+                floor.rooms.forEach(room => {
+                    message += `🚪 ${room.code} — ${room.doctors.map(d => d.name).join(', ')}\n`;
+                });
+                message += `\n`;
+            });
+        }
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+        return message;
+    }
+
     getBuildingGuide() {
         if (!this.nameSystem.legend) return 'Building information not available.';
         
@@ -722,7 +1910,8 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
         message += `📖 *How to read room codes:*\n`;
         message += `• Letter = Building\n`;
         message += `• First digit = Floor\n`;
-        message += `• Last digits = Room\n\n`;
+        message += `• Last digits = Room\n`;
+        message += `• B before the digits = Basement (e.g. W-B05)\n\n`;
 
         if (this.nameSystem.examples && this.nameSystem.examples.length > 0) {
             message += `📚 *Examples:*\n`;
@@ -732,6 +1921,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
             });
         }
 
+        message += `👇 Tap a building to see who is on each floor.\n\n`;
         message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
         return message;
     }
@@ -789,6 +1979,51 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
         return issues;
     }
 
+    // Audit doctors' office hours for data-entry mistakes (reversed ranges,
+    // AM/PM typos, stray commas, overlaps, weekend days) and office values the
+    // room-code parser cannot read. Returns structured issues so maintainers
+    // can fix doctors.json by hand.
+    validateDoctorData() {
+        const issues = [];
+        this.doctors.forEach((doctor, index) => {
+            const name = doctor.name ? doctor.name.toString().trim() : `<index ${index}>`;
+            this.getOfficeSchedule(doctor).forEach(day => {
+                auditDayHours(day).forEach(issue => {
+                    issues.push(Object.assign({ doctor: name, index }, issue));
+                });
+            });
+            const room = this.parseOffice(doctor.office);
+            if (!room.valid && !room.empty) {
+                issues.push({ doctor: name, index, type: 'unparsed_office', day: 'Office', raw: room.raw, message: `cannot read room code: ${room.reason}` });
+            } else if (room.extracted) {
+                issues.push({ doctor: name, index, type: 'loose_office', day: 'Office', raw: room.raw, message: `room code is buried in text`, suggestion: room.code });
+            }
+        });
+        return issues;
+    }
+
+    // Plain-text report of validateDoctorData() issues grouped by doctor
+    formatDoctorAudit(issues) {
+        if (!issues || issues.length === 0) return '✅ No office-hours issues found.';
+        const byDoctor = new Map();
+        issues.forEach(issue => {
+            const list = byDoctor.get(issue.doctor) || [];
+            list.push(issue);
+            byDoctor.set(issue.doctor, list);
+        });
+
+        let message = `🩺 Office-hours audit: ${issues.length} issue${issues.length === 1 ? '' : 's'} for ${byDoctor.size} doctor${byDoctor.size === 1 ? '' : 's'}\n\n`;
+        byDoctor.forEach((list, doctor) => {
+            message += `👨‍🏫 ${doctor}\n`;
+            list.forEach(issue => {
+                message += `  • ${issue.day}: ${issue.message}\n`;
+                if (issue.suggestion) message += `    ↳ Suggested: ${issue.suggestion}\n`;
+            });
+            message += `\n`;
+        });
+        return message.trim();
+    }
+
     // ===== Fun utilities =====
     flipCoin() {
         const isHeads = Math.random() < 0.5;
@@ -915,8 +2150,29 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
     // ===== Natural Language Processing =====
     
     // Parse natural language questions and extract intent + entities
-    parseNaturalLanguageQuery(query) {
+    parseNaturalLanguageQuery(query, now = new Date()) {
         const normalizedQuery = query.toLowerCase().trim();
+
+        // Availability questions ("who is free Tuesday at 11?") need a time
+        // expression plus an availability word. Check them first so
+        // "who is ..." is not taken as a name lookup.
+        const availabilityWords = /\b(free|available|availability|in (?:the )?office|office hours?|can i (?:see|meet|visit))\b/;
+        const when = parseTimeExpression(normalizedQuery, zonedDayTime(now, config.TIMEZONE));
+        if (when && availabilityWords.test(normalizedQuery)) {
+            const entity = when.rest
+                .replace(new RegExp(availabilityWords.source, 'g'), ' ')
+                .replace(/\b(who|whos|what|whats|when|where|can|could|does|do|have|has|i|is|are|which|any|anyone|somebody|doctors?|dr|faculty|staff|professors?|the|of|for|in|on|be|will|there|me)\b/g, ' ')
+                .replace(/[?.,!']/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+            return {
+                intent: 'availability',
+                entity: this.synonymFor(entity) || entity,
+                when,
+                confidence: 0.85,
+                originalQuery: query
+            };
+        }
         
         // Question patterns for different intents
         const patterns = {
@@ -974,6 +2230,8 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                         // Get the captured group that contains the entity
                         entity = match[match.length - 1] || match[1] || '';
                         entity = entity.trim().replace(/[?.,!]/g, '');
+                        // "cs department" asks about Computer Science
+                        entity = this.synonymFor(entity) || entity;
                     }
                     
                     return {
@@ -1008,25 +2266,28 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
 
         const { intent, entity } = parsed;
         
-        // Search for the entity in our data
-        const doctorResults = entity ? this.search(entity) : [];
-        const clubResults = entity ? this.searchClubs(entity) : [];
+        // Search for the entity only as far as the intent needs it
+        const doctorResults = () => (entity ? this.search(entity) : []);
+        const clubResults = () => (entity ? this.searchClubs(entity) : []);
 
         switch (intent) {
+            case 'availability':
+                return this.handleAvailabilityQuery(entity, parsed.when, doctorResults());
+
             case 'officeHours':
-                return this.handleOfficeHoursQuery(entity, doctorResults);
+                return this.handleOfficeHoursQuery(entity, doctorResults());
             
             case 'contactInfo':
-                return this.handleContactInfoQuery(entity, doctorResults, clubResults);
+                return this.handleContactInfoQuery(entity, doctorResults(), clubResults());
             
             case 'officeLocation':
-                return this.handleOfficeLocationQuery(entity, doctorResults);
+                return this.handleOfficeLocationQuery(entity, doctorResults());
             
             case 'department':
-                return this.handleDepartmentQuery(entity, doctorResults);
+                return this.handleDepartmentQuery(entity, doctorResults());
             
             case 'whoIs':
-                return this.handleWhoIsQuery(entity, doctorResults, clubResults);
+                return this.handleWhoIsQuery(entity, doctorResults(), clubResults());
             
             case 'admission':
                 return this.handleAdmissionQuery();
@@ -1038,7 +2299,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                 return this.handleDeanQuery(entity);
             
             case 'question':
-                return this.handleGeneralQuestion(entity, doctorResults, clubResults);
+                return this.handleGeneralQuestion(entity, doctorResults(), clubResults());
             
             default:
                 return null;
@@ -1061,6 +2322,9 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                 Object.entries(doctor.office_hours).forEach(([day, hours]) => {
                     response += `📅 **${day}:** ${hours}\n`;
                 });
+
+                const availability = this.formatAvailability(doctor);
+                if (availability) response += `\n${availability}\n`;
                 
                 if (doctor.office) {
                     const officeInfo = this.formatOfficeLocation(doctor.office);
@@ -1072,7 +2336,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                 response += `📅 Office hours are not specified for ${doctor.name}.\n\n`;
                 response += `📧 **Contact:** [${doctor.email}](mailto:${doctor.email})\n`;
                 if (doctor.office) {
-                    response += `🏢 **Office:** ${doctor.office}`;
+                    response += this.formatOfficeLocation(doctor.office);
                 }
             }
             
@@ -1100,6 +2364,76 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
         return { response, hasResults: true, multipleResults: doctorResults };
     }
 
+    // Answer "who is free <when>" from parsed office hours. The entity may be a
+    // department ("cyber security"), a person ("malek") or empty (everyone).
+    handleAvailabilityQuery(entity, when, doctorResults) {
+        const entityLower = (entity || '').toLowerCase();
+        const deptMatch = entityLower
+            ? this.departments.find(dept => dept.toLowerCase().includes(entityLower))
+            : null;
+
+        let pool = this.doctors;
+        let scope = 'Doctors';
+        if (deptMatch) {
+            pool = this.searchByDepartment(deptMatch);
+            scope = `${deptMatch} doctors`;
+        } else if (entity) {
+            pool = doctorResults;
+            scope = pool.length === 1 ? pool[0].name : `Matches for "${entity}"`;
+        }
+
+        if (entity && pool.length === 0) {
+            return {
+                intent: 'availability',
+                response: `😔 I couldn't find "${entity}" in our faculty database.\n\n💡 **Try:**\n• Check the spelling\n• Ask without a name: "who is free ${when.label}?"`,
+                hasResults: false
+            };
+        }
+
+        const matches = [];
+        pool.forEach(doctor => {
+            const slots = this.getUsableSlots(doctor)
+                .filter(s => s.dayIndex === when.dayIndex && s.start < when.to && s.end > when.from);
+            if (slots.length > 0) matches.push({ doctor, slots });
+        });
+
+        if (matches.length === 0) {
+            let response = `😴 ${scope === 'Doctors' ? 'No doctors are' : `${scope}: nobody is`} in office hours ${when.label}.\n\n`;
+            if (pool.length === 1) {
+                response = `😴 **${pool[0].name}** has no office hours ${when.label}.\n\n`;
+                const availability = this.formatAvailability(pool[0]);
+                if (availability) response += `${availability}\n\n`;
+            }
+            if (!WORKING_DAYS.includes(when.day)) {
+                response += `📅 ${when.day} is outside the HTU week (Sunday–Thursday).\n\n`;
+            }
+            response += `💡 **Tip:** Use /now to see who is available right now.`;
+            return { intent: 'availability', response, hasResults: false, when };
+        }
+
+        let response = `🕒 **${scope} available ${when.label}:**\n\n`;
+        matches.slice(0, config.MAX_RESULTS).forEach(({ doctor, slots }, index) => {
+            response += `${index + 1}. **${doctor.name}** (${doctor.department})\n`;
+            slots.forEach(slot => {
+                response += `   ⏰ ${formatSlot(slot)}${slot.modality === 'online' ? ' 💻' : ''}\n`;
+            });
+            response += `   ${this.formatOfficeLocation(doctor.office)}\n\n`;
+        });
+        if (matches.length > config.MAX_RESULTS) {
+            response += `... and ${matches.length - config.MAX_RESULTS} more.\n\n`;
+        }
+        response += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+
+        return {
+            intent: 'availability',
+            response,
+            hasResults: true,
+            when,
+            availability: matches,
+            singleResult: matches.length === 1 ? matches[0].doctor : undefined
+        };
+    }
+
     handleContactInfoQuery(entity, doctorResults, clubResults) {
         if (doctorResults.length === 0 && clubResults.length === 0) {
             return {
@@ -1117,7 +2451,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                 response += `   📧 [${doctor.email}](mailto:${doctor.email})\n`;
                 response += `   📚 ${doctor.department}\n`;
                 if (doctor.office) {
-                    response += `   🏢 ${doctor.office}\n`;
+                    response += `   🏢 ${this.formatOfficeCode(doctor.office)}\n`;
                 }
                 response += `\n`;
             });
@@ -1183,7 +2517,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
             response += `${index + 1}. **${doctor.name}**\n`;
             response += `   📚 ${doctor.department}\n`;
             if (doctor.office) {
-                response += `   🏢 ${doctor.office}\n`;
+                response += `   🏢 ${this.formatOfficeCode(doctor.office)}\n`;
             } else {
                 response += `   🏢 Office not specified\n`;
             }
@@ -1210,7 +2544,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                     response += `${index + 1}. **${doctor.name}**\n`;
                     response += `   📧 [${doctor.email}](mailto:${doctor.email})\n`;
                     if (doctor.office) {
-                        response += `   🏢 ${doctor.office}\n`;
+                        response += `   🏢 ${this.formatOfficeCode(doctor.office)}\n`;
                     }
                     response += `\n`;
                 });
@@ -1338,7 +2672,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                 response += `   📚 ${staff.department}\n`;
                 response += `   📧 [${staff.email}](mailto:${staff.email})\n`;
                 if (staff.office) {
-                    response += `   🏢 ${staff.office}\n`;
+                    response += `   🏢 ${this.formatOfficeCode(staff.office)}\n`;
                 }
                 if (staff.office_hours && Object.keys(staff.office_hours).length > 0) {
                     response += `   ⏰ Has office hours available\n`;
@@ -1377,7 +2711,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                 response += `   📚 ${staff.department}\n`;
                 response += `   📧 [${staff.email}](mailto:${staff.email})\n`;
                 if (staff.office) {
-                    response += `   🏢 ${staff.office}\n`;
+                    response += `   🏢 ${this.formatOfficeCode(staff.office)}\n`;
                 }
                 response += `\n`;
             });
@@ -1425,7 +2759,7 @@ ${club['What is yours club or volunteer team about ?'] || 'No description availa
                 response += `   🏫 ${person.school || 'School not specified'}\n`;
                 response += `   📧 [${person.email}](mailto:${person.email})\n`;
                 if (person.office) {
-                    response += `   🏢 ${person.office}\n`;
+                    response += `   🏢 ${this.formatOfficeCode(person.office)}\n`;
                 }
                 response += `\n`;
             });